@@ -0,0 +1,57 @@
+/*
+ * Benchmark of decimal conversion: the constructor (from a string) and toString()
+ *
+ * Compares the chunked, divide and conquer conversion with the previous digit by digit conversion
+ * (reproduced here with the public API) for numbers of 1k, 10k and 100k decimal digits
+ *
+ * Usage: node benchmark/conversion.js [digits...]
+ */
+/* eslint-disable no-console */
+var BigNumber = require('../');
+
+// The previous conversion from a string: a big addition and a big multiplication per digit
+function digitByDigitParse(str) {
+    var result = BigNumber(0), multipleoftens = BigNumber(1), ten = BigNumber(10);
+    for (var index = str.length - 1; index >= 0; index--) {
+        result = result.add(BigNumber(+str.charAt(index)).mult(multipleoftens));
+        multipleoftens = multipleoftens.mult(ten);
+    }
+    return result;
+}
+
+// The previous conversion to a string: a big division per digit
+function digitByDigitToString(bigNumber) {
+    var digits = [], ten = BigNumber(10), clone = BigNumber(bigNumber);
+    while (!clone.isZero()) {
+        clone = clone.divide(ten);
+        digits.push(clone.rest.toString());
+    }
+    return digits.reverse().join('') || '0';
+}
+
+// Returns a random string of decimal digits
+function randomDigits(length) {
+    var str = '' + (1 + Math.floor(Math.random() * 9));
+    while (str.length < length) str += Math.floor(Math.random() * 10);
+    return str;
+}
+
+// Times fn, returning its result and printing the time taken
+function time(label, fn) {
+    var start = Date.now();
+    var result = fn();
+    console.log('    ' + label + ': ' + (Date.now() - start) + 'ms');
+    return result;
+}
+
+var sizes = process.argv.length > 2 ? process.argv.slice(2).map(Number) : [1000, 10000, 100000];
+sizes.forEach(function(size) {
+    var str = randomDigits(size);
+    console.log(size + ' digits');
+    var bigNumber = time('constructor', function() { return BigNumber(str); });
+    var previous = time('constructor (digit by digit)', function() { return digitByDigitParse(str); });
+    if (!bigNumber.equals(previous)) throw new Error('Conversions from a string differ');
+    var result = time('toString', function() { return bigNumber.toString(); });
+    var previousResult = time('toString (digit by digit)', function() { return digitByDigitToString(bigNumber); });
+    if (result !== str || previousResult !== str) throw new Error('Conversions to a string differ');
+});
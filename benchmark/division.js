@@ -0,0 +1,39 @@
+/*
+ * Benchmark of division and of the operations that depend on it: divide, mod, sqrt and toString()
+ * for numbers of the given numbers of decimal digits (the divisor having half the digits of the numerator)
+ *
+ * Usage: node benchmark/division.js [digits...]
+ */
+/* eslint-disable no-console */
+var BigNumber = require('../');
+
+// Returns a random string of decimal digits
+function randomDigits(length) {
+    var str = '' + (1 + Math.floor(Math.random() * 9));
+    while (str.length < length) str += Math.floor(Math.random() * 10);
+    return str;
+}
+
+// Returns the average time of fn in ms, repeating it for at least 200ms
+function time(fn) {
+    var start = Date.now(), count = 0;
+    do {
+        fn();
+        count++;
+    } while (Date.now() - start < 200);
+    return ((Date.now() - start) / count).toFixed(3) + 'ms';
+}
+
+var sizes = process.argv.length > 2 ? process.argv.slice(2).map(Number) : [1000, 10000, 50000];
+sizes.forEach(function(size) {
+    var numerator = BigNumber(randomDigits(size)), denominator = BigNumber(randomDigits(size >> 1));
+    console.log(size + ' digits');
+    console.log('    divide: ' + time(function() { BigNumber(numerator).divide(denominator); }));
+    console.log('    mod: ' + time(function() { BigNumber(numerator).mod(denominator); }));
+    console.log('    sqrt: ' + time(function() { BigNumber(numerator).sqrt(); }));
+    console.log('    toString: ' + time(function() { numerator.toString(); }));
+    if (BigNumber._knuthDivide) {
+        console.log('    long division: ' + time(function() { BigNumber._knuthDivide(numerator.number, denominator.number); }));
+        console.log('    Newton division: ' + time(function() { BigNumber._newtonDivide(numerator.number, denominator.number); }));
+    }
+});
@@ -0,0 +1,39 @@
+/*
+ * Benchmark of multiplication: the schoolbook, Karatsuba and Toom-3 methods and the automatic choice between them
+ * (BigNumber._multiply) for numbers of the given numbers of elements (of 2^25, i.e. about 7.5 decimal digits each)
+ *
+ * Usage: node benchmark/multiplication.js [elements...]
+ */
+/* eslint-disable no-console */
+var BigNumber = require('../');
+
+// Returns a random number array of the given length
+function randomNumber(length) {
+    var number = [];
+    while (number.length < length) number.push(Math.floor(Math.random() * Math.pow(2, 25)));
+    number[length - 1] = number[length - 1] || 1;
+    return number;
+}
+
+// Returns the average time of fn in ms, repeating it for at least 200ms
+function time(fn) {
+    var start = Date.now(), count = 0;
+    do {
+        fn();
+        count++;
+    } while (Date.now() - start < 200);
+    return (Date.now() - start) / count;
+}
+
+var methods = ['_schoolbookMultiply', '_karatsubaMultiply', '_toom3Multiply', '_multiply', '_square'];
+var sizes = process.argv.length > 2 ? process.argv.slice(2).map(Number) : [20, 50, 100, 200, 500, 1000, 2000, 5000];
+console.log('elements  ' + methods.join('  '));
+sizes.forEach(function(size) {
+    var a = randomNumber(size), b = randomNumber(size);
+    console.log(size + '  ' + methods.map(function(method) {
+        return time(function() {
+            if (method === '_square') BigNumber._square(a);
+            else BigNumber[method](a, b);
+        }).toFixed(3) + 'ms';
+    }).join('  '));
+});
@@ -1 +1,22 @@
-module.exports = require('./lib/big-number');
+var bigDecimal = require('./lib/big-decimal');
+var bigFraction = require('./lib/big-fraction');
+var expression = require('./lib/expression');
+
+// Gives a BigNumber constructor its own BigDecimal, BigFraction, compile and evaluate, which build its numbers and
+// follow its settings, and does the same for the constructors it clones
+var extend = function(BigNumber) {
+    var clone = BigNumber.clone;
+    BigNumber.BigDecimal = bigDecimal(BigNumber);
+    BigNumber.BigFraction = bigFraction(BigNumber, BigNumber.BigDecimal);
+
+    var formulas = expression(BigNumber);
+    BigNumber.compile = formulas.compile;
+    BigNumber.evaluate = formulas.evaluate;
+
+    BigNumber.clone = function(options) {
+        return extend(clone(options));
+    };
+    return BigNumber;
+};
+
+module.exports = extend(require('./lib/big-number'));
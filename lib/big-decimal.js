@@ -0,0 +1,349 @@
+/*!
+ * big-decimal.js -> Arithmetic operations on arbitrary-precision fixed-point decimals
+ * Built on big-number.js: a decimal is an unscaled big integer and a scale, the number of its digits after the
+ * decimal point (123.4500 being 1234500 with a scale of 4)
+ * MIT Licensed
+ * It supports the following operations:
+ *      addition, subtraction, multiplication, division and square root (rounded to a given scale), rescaling
+ */
+
+!(function() {
+    'use strict';
+
+    /*
+     * Returns the BigDecimal constructor of a BigNumber constructor: its decimals are made of the numbers of that
+     * constructor and follow its settings (see BigNumber.clone)
+     */
+    function factory(BigNumber) {
+        var BigNumberError = BigNumber.BigNumberError;
+
+        /*
+         * Rounding modes, for division, square root and reducing the scale:
+         *      UP        : away from zero
+         *      DOWN      : towards zero (truncation)
+         *      CEIL      : towards +infinity
+         *      FLOOR     : towards -infinity
+         *      HALF_UP   : to the nearest, halves away from zero
+         *      HALF_DOWN : to the nearest, halves towards zero
+         *      HALF_EVEN : to the nearest, halves to the even neighbour (banker's rounding)
+         */
+        var roundingModes = ['UP', 'DOWN', 'CEIL', 'FLOOR', 'HALF_UP', 'HALF_DOWN', 'HALF_EVEN'];
+        var defaultRounding = 'HALF_UP';
+
+        // Decimal strings: a sign, digits with an optional decimal point and an optional exponent
+        var decimalPattern = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+        // Helper function which returns 10^exponent as a BigNumber
+        var powerOfTen = function(exponent) {
+            return BigNumber(10).pow(exponent);
+        };
+
+        // Helper function which checks a scale is a (native) integer of at least 0
+        var validScale = function(scale) {
+            return typeof scale == 'number' && isFinite(scale) && scale >= 0 && Math.floor(scale) === scale;
+        };
+
+        // Helper function which returns the object an operation should store its result in (see BigNumber.config)
+        var target = function(bigDecimal) {
+            return BigNumber.config().immutable ? BigDecimal(bigDecimal) : bigDecimal;
+        };
+
+        // Helper function which fails an operation according to the errorMode setting (see BigNumber.config): either by
+        // throwing a BigNumberError or by setting the result to the invalid (NaN) state
+        var fail = function(result, code, message) {
+            var error = code instanceof BigNumberError ? code : new BigNumberError(code, message);
+            if (BigNumber.config().errorMode === 'throw') throw error;
+            result.unscaled = BigNumber(0);
+            result.scale = 0;
+            result.error = error;
+            return result;
+        };
+
+        // Helper function which makes the result invalid if the operand is, returning true if the result is invalid
+        var propagate = function(result, bigDecimal) {
+            if (bigDecimal.error && !result.error) fail(result, bigDecimal.error);
+            return !!result.error;
+        };
+
+        // Helper function which returns the unscaled value of a decimal at a greater (or equal) scale
+        var rescale = function(bigDecimal, scale) {
+            return BigNumber(bigDecimal.unscaled).multiply(powerOfTen(scale - bigDecimal.scale));
+        };
+
+        // Helper function which returns the rounding mode given by options, or null if it is invalid
+        var rounding = function(options) {
+            var mode = options && typeof options.rounding !== 'undefined' ? options.rounding : defaultRounding;
+            return roundingModes.indexOf(mode) >= 0 ? mode : null;
+        };
+
+        /*
+         * Helper function which returns numerator/denominator (BigNumbers, the denominator positive) rounded to an integer
+         * If the division is inexact, the quotient is rounded away from zero (up) according to the rounding mode and to:
+         * the sign of the quotient, the remainder compared with half the denominator and the parity of the quotient
+         */
+        var divideRounded = function(numerator, denominator, mode) {
+            var quotient = BigNumber(numerator).divide(denominator);
+            var rest = BigNumber(quotient.rest).abs();
+            if (rest.isZero()) return quotient;
+
+            var negative = numerator.lt(0);
+            var half = BigNumber(rest).multiply(2)._compare(denominator);
+            var up;
+            switch (mode) {
+            case 'UP':
+                up = true;
+                break;
+            case 'DOWN':
+                up = false;
+                break;
+            case 'CEIL':
+                up = !negative;
+                break;
+            case 'FLOOR':
+                up = negative;
+                break;
+            case 'HALF_UP':
+                up = half >= 0;
+                break;
+            case 'HALF_DOWN':
+                up = half > 0;
+                break;
+            case 'HALF_EVEN':
+                up = half > 0 || (half === 0 && quotient.testBit(0));
+                break;
+            }
+            return up ? BigNumber(quotient).add(negative ? -1 : 1) : quotient;
+        };
+
+        /*
+         * Constructor function which creates a new BigDecimal object from a decimal string ('123.4500', '-1.5e-3'),
+         * a native number, a BigNumber (an integer) or another BigDecimal
+         * The scale of a string is the number of digits after its decimal point (less the exponent), so that it prints
+         * back exactly
+         */
+        function BigDecimal(initialNumber) {
+
+            if (!(this instanceof BigDecimal)) return new BigDecimal(initialNumber);
+
+            // Member properties of this class
+            this.unscaled = BigNumber(0);
+            this.scale = 0;
+            this.error = null;
+
+            if (initialNumber instanceof BigDecimal) {
+                this.unscaled = BigNumber(initialNumber.unscaled);
+                this.scale = initialNumber.scale;
+                this.error = initialNumber.error;
+                return this;
+            }
+            if (initialNumber instanceof BigNumber) {
+                this.unscaled = BigNumber(initialNumber);
+                if (initialNumber.error) fail(this, initialNumber.error);
+                return this;
+            }
+            if (typeof initialNumber === 'undefined' || initialNumber === null) return this;
+
+            // Native numbers are read as the shortest string that gives them back (e.g. 0.1 is '0.1')
+            var match = decimalPattern.exec(String(initialNumber));
+            if (!match || !(match[2] + (match[3] || '')).length) {
+                return fail(this, BigNumberError.INVALID, 'Invalid Number: ' + initialNumber);
+            }
+            var fraction = match[3] || '';
+            var scale = fraction.length - (match[4] ? +match[4] : 0);
+            this.unscaled = BigNumber(match[1] + (match[2] + fraction || '0'));
+            if (scale < 0) {
+                this.unscaled = this.unscaled.multiply(powerOfTen(-scale));
+                scale = 0;
+            }
+            this.scale = scale;
+            return this;
+        }
+
+        // Rounding modes, e.g. BigDecimal(1).div(3, {scale: 2, rounding: BigDecimal.HALF_EVEN})
+        roundingModes.forEach(function(mode) {
+            BigDecimal[mode] = mode;
+        });
+
+        // returns:
+        //      0 if this.number === number
+        //      -1 if this.number < number
+        //      1 if this.number > number
+        //      NaN if either number is invalid (so that all comparisons are false)
+        BigDecimal.prototype._compare = function(number) {
+            var bigDecimal = BigDecimal(number);
+            if (this.error || bigDecimal.error) return NaN;
+            var scale = Math.max(this.scale, bigDecimal.scale);
+            return rescale(this, scale)._compare(rescale(bigDecimal, scale));
+        };
+
+        // this.number > number
+        BigDecimal.prototype.gt = function(number) {
+            return this._compare(number) > 0;
+        };
+
+        // this.number >= number
+        BigDecimal.prototype.gte = function(number) {
+            return this._compare(number) >= 0;
+        };
+
+        // this.number == number (whatever the scales, e.g. 1.5 equals 1.50)
+        BigDecimal.prototype.equals = function(number) {
+            return this._compare(number) === 0;
+        };
+
+        // this.number <= number
+        BigDecimal.prototype.lte = function(number) {
+            return this._compare(number) <= 0;
+        };
+
+        // this.number < number
+        BigDecimal.prototype.lt = function(number) {
+            return this._compare(number) < 0;
+        };
+
+        // Addition, the scale of the result being the greater of the scales
+        BigDecimal.prototype.add = function(number) {
+            var result = target(this);
+            var bigDecimal = BigDecimal(number);
+            if (propagate(result, bigDecimal)) return result;
+            var scale = Math.max(result.scale, bigDecimal.scale);
+            result.unscaled = rescale(result, scale).add(rescale(bigDecimal, scale));
+            result.scale = scale;
+            return result;
+        };
+
+        // Subtraction, the scale of the result being the greater of the scales
+        BigDecimal.prototype.subtract = function(number) {
+            return this.add(BigDecimal(number).negate());
+        };
+
+        // Multiplication, the scale of the result being the sum of the scales (so that it is exact)
+        BigDecimal.prototype.multiply = function(number) {
+            var result = target(this);
+            var bigDecimal = BigDecimal(number);
+            if (propagate(result, bigDecimal)) return result;
+            result.unscaled = BigNumber(result.unscaled).multiply(bigDecimal.unscaled);
+            result.scale += bigDecimal.scale;
+            return result;
+        };
+
+        // Division rounded to options.scale digits after the decimal point (by default the greater of the scales)
+        // with the options.rounding mode (by default HALF_UP)
+        BigDecimal.prototype.divide = function(number, options) {
+            var result = target(this);
+            var bigDecimal = BigDecimal(number);
+            if (propagate(result, bigDecimal)) return result;
+            var scale = options && typeof options.scale !== 'undefined' ? options.scale : Math.max(result.scale, bigDecimal.scale);
+            var mode = rounding(options);
+            if (!validScale(scale)) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid scale: ' + scale);
+            if (!mode) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid rounding: ' + options.rounding);
+            if (bigDecimal.isZero()) return fail(result, BigNumberError.DIVISION_BY_ZERO);
+
+            // a/10^s / (b/10^t) = a*10^(scale-s+t) / b / 10^scale
+            var numerator = BigNumber(result.unscaled), denominator = BigNumber(bigDecimal.unscaled);
+            var exponent = scale - result.scale + bigDecimal.scale;
+            if (exponent >= 0) numerator = numerator.multiply(powerOfTen(exponent));
+            else denominator = denominator.multiply(powerOfTen(-exponent));
+            if (denominator.lt(0)) {
+                numerator = numerator.multiply(-1);
+                denominator = denominator.abs();
+            }
+            result.unscaled = divideRounded(numerator, denominator, mode);
+            result.scale = scale;
+            return result;
+        };
+
+        // Sets the number of digits after the decimal point, rounding with the given mode (by default HALF_UP) if it is
+        // reduced
+        BigDecimal.prototype.setScale = function(scale, mode) {
+            var result = target(this);
+            if (result.error) return result;
+            if (!validScale(scale)) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid scale: ' + scale);
+            if (!rounding({rounding: mode})) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid rounding: ' + mode);
+            result.unscaled = scale >= result.scale ? rescale(result, scale) :
+                divideRounded(result.unscaled, powerOfTen(result.scale - scale), rounding({rounding: mode}));
+            result.scale = scale;
+            return result;
+        };
+
+        /*
+         * Square root rounded to options.scale digits after the decimal point (by default the scale of the number) with the
+         * options.rounding mode (by default HALF_UP)
+         * The integer square root is taken at least one digit beyond the scale, and a last digit of 1 is added to it if it
+         * is inexact, so that rounding it to the scale gives the rounded exact root
+         */
+        BigDecimal.prototype.sqrt = function(options) {
+            var result = target(this);
+            if (result.error) return result;
+            var scale = options && typeof options.scale !== 'undefined' ? options.scale : result.scale;
+            var mode = rounding(options);
+            if (!validScale(scale)) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid scale: ' + scale);
+            if (!mode) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid rounding: ' + options.rounding);
+            if (result.lt(0)) return fail(result, BigNumberError.NEGATIVE_SQRT);
+
+            var precision = Math.max(scale, Math.ceil(result.scale / 2)) + 1;
+            var square = rescale(result, 2 * precision);
+            var root = BigNumber(square).sqrt();
+            if (!BigNumber(root).multiply(root).equals(square)) root = root.multiply(10).add(1);
+            else root = root.multiply(10);
+            result.unscaled = divideRounded(root, powerOfTen(precision + 1 - scale), mode);
+            result.scale = scale;
+            return result;
+        };
+
+        // -this.number
+        BigDecimal.prototype.negate = function() {
+            var result = target(this);
+            result.unscaled = BigNumber(result.unscaled).multiply(-1);
+            return result;
+        };
+
+        // |this.number|
+        BigDecimal.prototype.abs = function() {
+            var result = target(this);
+            result.unscaled = BigNumber(result.unscaled).abs();
+            return result;
+        };
+
+        // Check if this.number is equal to 0
+        BigDecimal.prototype.isZero = function() {
+            return !this.error && this.unscaled.isZero();
+        };
+
+        // Check if this.number is a valid number (i.e. not the result of a failed operation)
+        BigDecimal.prototype.isValid = function() {
+            return !this.error;
+        };
+
+        // Check if this.number is invalid (NaN), the result of a failed operation
+        BigDecimal.prototype.isNaN = function() {
+            return !!this.error;
+        };
+
+        // The decimal string of this.number, with exactly scale digits after the decimal point
+        BigDecimal.prototype.toString = function() {
+            if (this.error) return 'NaN';
+            var digits = BigNumber(this.unscaled).abs().toString();
+            while (digits.length <= this.scale) digits = '0' + digits;
+            var point = digits.length - this.scale;
+            var str = this.scale ? digits.slice(0, point) + '.' + digits.slice(point) : digits;
+            return this.unscaled.lt(0) ? '-' + str : str;
+        };
+
+        // Use shortcuts for functions names
+        BigDecimal.prototype.plus = BigDecimal.prototype.add;
+        BigDecimal.prototype.minus = BigDecimal.prototype.subtract;
+        BigDecimal.prototype.div = BigDecimal.prototype.divide;
+        BigDecimal.prototype.mult = BigDecimal.prototype.multiply;
+        BigDecimal.prototype.val = BigDecimal.prototype.toString;
+
+        return BigDecimal;
+    }
+
+    // CommonJS
+    if (typeof exports === 'object' && typeof module !== 'undefined') {
+        module.exports = factory;
+    } else if (typeof window !== 'undefined') {
+        window.BigDecimal = factory(window.BigNumber);
+    }
+})();
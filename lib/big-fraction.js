@@ -0,0 +1,409 @@
+/*!
+ * big-fraction.js -> Arithmetic operations on exact rational numbers
+ * Built on big-number.js: a fraction is a numerator and a positive denominator, always reduced by their gcd
+ * (the sign being held by the numerator)
+ * MIT Licensed
+ * It supports the following operations:
+ *      addition, subtraction, multiplication, division, integer power, comparison,
+ *      decimal expansion, continued fractions and best rational approximations
+ */
+
+!(function() {
+    'use strict';
+
+    /*
+     * Returns the BigFraction constructor of a BigNumber constructor and of its BigDecimal constructor: its fractions
+     * are made of the numbers of that constructor and follow its settings (see BigNumber.clone)
+     */
+    function factory(BigNumber, BigDecimal) {
+        var BigNumberError = BigNumber.BigNumberError;
+
+        // Fraction strings: a numerator and a denominator, e.g. '-3/4'
+        var fractionPattern = /^([+-]?\d+)\s*\/\s*([+-]?\d+)$/;
+
+        // Decimal strings: a sign, digits with an optional decimal point (the fraction digits may end with a repeating
+        // part in brackets, e.g. '0.1(6)' is 1/6) and an optional exponent
+        var decimalPattern = /^([+-]?)(\d*)(?:\.(\d*)(?:\((\d+)\))?)?(?:e([+-]?\d+))?$/i;
+
+        // Helper function which returns 10^exponent as a BigNumber
+        var powerOfTen = function(exponent) {
+            return BigNumber(10).pow(exponent);
+        };
+
+        // Helper function which returns the object an operation should store its result in (see BigNumber.config)
+        var target = function(bigFraction) {
+            return BigNumber.config().immutable ? BigFraction(bigFraction) : bigFraction;
+        };
+
+        // Helper function which fails an operation according to the errorMode setting (see BigNumber.config): either by
+        // throwing a BigNumberError or by setting the result to the invalid (NaN) state
+        var fail = function(result, code, message) {
+            var error = code instanceof BigNumberError ? code : new BigNumberError(code, message);
+            if (BigNumber.config().errorMode === 'throw') throw error;
+            result.numerator = BigNumber(0);
+            result.denominator = BigNumber(1);
+            result.error = error;
+            return result;
+        };
+
+        // Helper function which makes the result invalid if the operand is, returning true if the result is invalid
+        var propagate = function(result, bigFraction) {
+            if (bigFraction.error && !result.error) fail(result, bigFraction.error);
+            return !!result.error;
+        };
+
+        // Helper function which sets result to numerator/denominator (BigNumbers) reduced by their gcd, the denominator
+        // being made positive
+        var reduce = function(result, numerator, denominator) {
+            if (numerator.error) return fail(result, numerator.error);
+            if (denominator.error) return fail(result, denominator.error);
+            if (denominator.isZero()) return fail(result, BigNumberError.DIVISION_BY_ZERO);
+            if (denominator.lt(0)) {
+                numerator = BigNumber(numerator).multiply(-1);
+                denominator = BigNumber(denominator).abs();
+            }
+            var gcd = BigNumber(numerator).gcd(denominator);
+            result.numerator = BigNumber(numerator).divide(gcd);
+            result.denominator = BigNumber(denominator).divide(gcd);
+            result.error = null;
+            return result;
+        };
+
+        // Helper function which returns the floor of numerator/denominator (the denominator positive) and the remainder,
+        // from 0 to the denominator less 1, as BigNumbers: [quotient, remainder]
+        var floorDivide = function(numerator, denominator) {
+            var division = BigNumber(numerator).divmod(denominator, 'floor');
+            return [division.quotient, division.remainder];
+        };
+
+        // Helper function which parses a decimal string (see decimalPattern) into result, returning false if it is invalid
+        var parseDecimal = function(result, string) {
+            var match = decimalPattern.exec(string);
+            if (!match || !(match[2] + (match[3] || '')).length) return false;
+
+            // 0.abc(de) = (abcde - abc) / 99000
+            var digits = match[2] + (match[3] || '');
+            var numerator = BigNumber(match[1] + (digits || '0'));
+            var denominator = powerOfTen((match[3] || '').length);
+            if (match[4]) {
+                var nines = powerOfTen(match[4].length).subtract(1);
+                numerator = BigNumber(match[1] + digits + match[4]).subtract(numerator);
+                denominator = denominator.multiply(nines);
+            }
+            var exponent = match[5] ? +match[5] : 0;
+            if (exponent > 0) numerator = numerator.multiply(powerOfTen(exponent));
+            else if (exponent < 0) denominator = denominator.multiply(powerOfTen(-exponent));
+            reduce(result, numerator, denominator);
+            return true;
+        };
+
+        /*
+         * Constructor function which creates a new BigFraction object from a numerator and an optional denominator
+         * Each of them may be a BigFraction, a BigNumber, a native number (read as the shortest string that gives it back,
+         * e.g. 0.1 is 1/10) or a string: a fraction ('3/4') or a decimal ('1.25', '0.(3)' with a repeating part)
+         */
+        function BigFraction(numerator, denominator) {
+
+            if (!(this instanceof BigFraction)) return new BigFraction(numerator, denominator);
+
+            // Member properties of this class
+            this.numerator = BigNumber(0);
+            this.denominator = BigNumber(1);
+            this.error = null;
+
+            if (typeof denominator !== 'undefined') {
+                var divisor = BigFraction(denominator);
+                var dividend = BigFraction(numerator);
+                if (propagate(this, dividend) || propagate(this, divisor)) return this;
+                return reduce(this, BigNumber(dividend.numerator).multiply(divisor.denominator),
+                    BigNumber(dividend.denominator).multiply(divisor.numerator));
+            }
+            if (numerator instanceof BigFraction) {
+                this.numerator = BigNumber(numerator.numerator);
+                this.denominator = BigNumber(numerator.denominator);
+                this.error = numerator.error;
+                return this;
+            }
+            if (numerator instanceof BigNumber) return reduce(this, numerator, BigNumber(1));
+            if (typeof numerator === 'undefined' || numerator === null) return this;
+
+            var string = String(numerator);
+            var match = fractionPattern.exec(string);
+            if (match) return reduce(this, BigNumber(match[1]), BigNumber(match[2]));
+            if (!parseDecimal(this, string)) return fail(this, BigNumberError.INVALID, 'Invalid Number: ' + numerator);
+            return this;
+        }
+
+        // Creates a fraction from the terms of its continued fraction [a0; a1, a2, ...], i.e. a0 + 1/(a1 + 1/(a2 + ...))
+        BigFraction.fromContinuedFraction = function(terms) {
+            var result = BigFraction();
+            if (!terms || !terms.length) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid continued fraction');
+            var numerator = BigNumber(1), denominator = BigNumber(0);
+            for (var index = terms.length - 1; index >= 0; index--) {
+                var swap = numerator;
+                numerator = BigNumber(terms[index]).multiply(numerator).add(denominator);
+                denominator = swap;
+            }
+            return reduce(result, numerator, denominator);
+        };
+
+        // returns:
+        //      0 if this.number === number
+        //      -1 if this.number < number
+        //      1 if this.number > number
+        //      NaN if either number is invalid (so that all comparisons are false)
+        BigFraction.prototype._compare = function(number) {
+            var bigFraction = BigFraction(number);
+            if (this.error || bigFraction.error) return NaN;
+            return BigNumber(this.numerator).multiply(bigFraction.denominator)
+                ._compare(BigNumber(bigFraction.numerator).multiply(this.denominator));
+        };
+
+        // this.number > number
+        BigFraction.prototype.gt = function(number) {
+            return this._compare(number) > 0;
+        };
+
+        // this.number >= number
+        BigFraction.prototype.gte = function(number) {
+            return this._compare(number) >= 0;
+        };
+
+        // this.number == number
+        BigFraction.prototype.equals = function(number) {
+            return this._compare(number) === 0;
+        };
+
+        // this.number <= number
+        BigFraction.prototype.lte = function(number) {
+            return this._compare(number) <= 0;
+        };
+
+        // this.number < number
+        BigFraction.prototype.lt = function(number) {
+            return this._compare(number) < 0;
+        };
+
+        // Addition: a/b + c/d = (ad + cb) / bd
+        BigFraction.prototype.add = function(number) {
+            var result = target(this);
+            var bigFraction = BigFraction(number);
+            if (propagate(result, bigFraction)) return result;
+            return reduce(result,
+                BigNumber(result.numerator).multiply(bigFraction.denominator).add(BigNumber(bigFraction.numerator).multiply(result.denominator)),
+                BigNumber(result.denominator).multiply(bigFraction.denominator));
+        };
+
+        // Subtraction
+        BigFraction.prototype.subtract = function(number) {
+            return this.add(BigFraction(number).negate());
+        };
+
+        // Multiplication: a/b * c/d = ac / bd
+        BigFraction.prototype.multiply = function(number) {
+            var result = target(this);
+            var bigFraction = BigFraction(number);
+            if (propagate(result, bigFraction)) return result;
+            return reduce(result, BigNumber(result.numerator).multiply(bigFraction.numerator),
+                BigNumber(result.denominator).multiply(bigFraction.denominator));
+        };
+
+        // Division: a/b / c/d = ad / bc
+        BigFraction.prototype.divide = function(number) {
+            var result = target(this);
+            var bigFraction = BigFraction(number);
+            if (propagate(result, bigFraction)) return result;
+            return reduce(result, BigNumber(result.numerator).multiply(bigFraction.denominator),
+                BigNumber(result.denominator).multiply(bigFraction.numerator));
+        };
+
+        // this.number^exponent, the exponent being a (native) integer (a negative exponent being a power of the inverse)
+        BigFraction.prototype.power = function(exponent) {
+            var result = target(this);
+            if (result.error) return result;
+            exponent = Number(exponent);
+            if (!isFinite(exponent) || Math.floor(exponent) !== exponent) {
+                return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid power: ' + exponent);
+            }
+            var numerator = BigNumber(result.numerator).pow(Math.abs(exponent));
+            var denominator = BigNumber(result.denominator).pow(Math.abs(exponent));
+            return exponent < 0 ? reduce(result, denominator, numerator) : reduce(result, numerator, denominator);
+        };
+
+        // 1/this.number
+        BigFraction.prototype.inverse = function() {
+            var result = target(this);
+            if (result.error) return result;
+            return reduce(result, result.denominator, result.numerator);
+        };
+
+        // -this.number
+        BigFraction.prototype.negate = function() {
+            var result = target(this);
+            result.numerator = BigNumber(result.numerator).multiply(-1);
+            return result;
+        };
+
+        // |this.number|
+        BigFraction.prototype.abs = function() {
+            var result = target(this);
+            result.numerator = BigNumber(result.numerator).abs();
+            return result;
+        };
+
+        // Check if this.number is equal to 0
+        BigFraction.prototype.isZero = function() {
+            return !this.error && this.numerator.isZero();
+        };
+
+        // Check if this.number is an integer
+        BigFraction.prototype.isInteger = function() {
+            return !this.error && this.denominator.equals(1);
+        };
+
+        // Check if this.number is a valid number (i.e. not the result of a failed operation)
+        BigFraction.prototype.isValid = function() {
+            return !this.error;
+        };
+
+        // Check if this.number is invalid (NaN), the result of a failed operation
+        BigFraction.prototype.isNaN = function() {
+            return !!this.error;
+        };
+
+        // The terms of the continued fraction of this.number as BigNumbers: [a0; a1, a2, ...], a0 being the floor of the
+        // number and the other terms positive
+        BigFraction.prototype.toContinuedFraction = function() {
+            if (this.error) return [];
+            var terms = [];
+            var numerator = BigNumber(this.numerator), denominator = BigNumber(this.denominator);
+            while (!denominator.isZero()) {
+                var division = floorDivide(numerator, denominator);
+                terms.push(division[0]);
+                numerator = denominator;
+                denominator = division[1];
+            }
+            return terms;
+        };
+
+        // The convergents of the continued fraction of this.number as BigFractions, the last being the number itself
+        BigFraction.prototype.convergents = function() {
+            var terms = this.toContinuedFraction(), convergents = [];
+            var numerator = BigNumber(1), previousNumerator = BigNumber(0);
+            var denominator = BigNumber(0), previousDenominator = BigNumber(1);
+            for (var index = 0; index < terms.length; index++) {
+                var swap = numerator;
+                numerator = BigNumber(terms[index]).multiply(numerator).add(previousNumerator);
+                previousNumerator = swap;
+                swap = denominator;
+                denominator = BigNumber(terms[index]).multiply(denominator).add(previousDenominator);
+                previousDenominator = swap;
+                convergents.push(BigFraction(numerator, denominator));
+            }
+            return convergents;
+        };
+
+        /*
+         * The best rational approximation of this.number with a denominator of at most max: the closest of the last
+         * convergent within the limit and of the best semiconvergent after it (the closer to this.number if they tie)
+         */
+        BigFraction.prototype.limitDenominator = function(max) {
+            var result = target(this);
+            var limit = BigNumber(max);
+            if (propagate(result, BigFraction(limit))) return result;
+            if (limit.lt(1)) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid maximum denominator: ' + max);
+            if (result.denominator.lte(limit)) return result;
+
+            var p0 = BigNumber(0), q0 = BigNumber(1), p1 = BigNumber(1), q1 = BigNumber(0);
+            var numerator = BigNumber(result.numerator), denominator = BigNumber(result.denominator);
+            for (;;) {
+                var division = floorDivide(numerator, denominator);
+                var q2 = BigNumber(division[0]).multiply(q1).add(q0);
+                if (q2.gt(limit)) break;
+                var p2 = BigNumber(division[0]).multiply(p1).add(p0);
+                p0 = p1;
+                q0 = q1;
+                p1 = p2;
+                q1 = q2;
+                numerator = denominator;
+                denominator = division[1];
+            }
+            var k = BigNumber(limit).subtract(q0).divide(q1);
+            var semiconvergent = BigFraction(BigNumber(k).multiply(p1).add(p0), BigNumber(k).multiply(q1).add(q0));
+            var convergent = BigFraction(p1, q1);
+            var best = BigFraction(convergent).subtract(result).abs().lte(BigFraction(semiconvergent).subtract(result).abs()) ?
+                convergent : semiconvergent;
+            result.numerator = best.numerator;
+            result.denominator = best.denominator;
+            return result;
+        };
+
+        /*
+         * The decimal string of this.number: with the given number of digits after the decimal point, rounded with the
+         * rounding mode (by default HALF_UP, see BigDecimal), or else exactly, any repeating digits being in brackets,
+         * e.g. '0.1(6)' for 1/6 (the repeating part may be nearly as long as the denominator)
+         */
+        BigFraction.prototype.toDecimal = function(digits, rounding) {
+            if (this.error) return 'NaN';
+            if (typeof digits !== 'undefined') {
+                return BigDecimal(this.numerator).divide(BigDecimal(this.denominator), {scale: digits, rounding: rounding})
+                    .toString();
+            }
+
+            // The digits before the repeating part are as many as the powers of 2 or 5 in the denominator, whichever is
+            // greater, and the remainders then repeat from the first one
+            var twos = 0, fives = 0, rest = BigNumber(this.denominator);
+            while (BigNumber(rest).mod(2).isZero()) {
+                rest = rest.divide(2);
+                twos++;
+            }
+            while (BigNumber(rest).mod(5).isZero()) {
+                rest = rest.divide(5);
+                fives++;
+            }
+            var division = floorDivide(BigNumber(this.numerator).abs(), this.denominator);
+            var str = division[0].toString(), remainder = division[1];
+            if (remainder.isZero()) return (this.numerator.lt(0) ? '-' : '') + str;
+
+            var fraction = '';
+            for (var index = 0; index < Math.max(twos, fives) && !remainder.isZero(); index++) {
+                division = floorDivide(remainder.multiply(10), this.denominator);
+                fraction += division[0].toString();
+                remainder = division[1];
+            }
+            if (!remainder.isZero()) {
+                var first = BigNumber(remainder), repeating = '';
+                do {
+                    division = floorDivide(remainder.multiply(10), this.denominator);
+                    repeating += division[0].toString();
+                    remainder = division[1];
+                } while (!remainder.equals(first));
+                fraction += '(' + repeating + ')';
+            }
+            return (this.numerator.lt(0) ? '-' : '') + str + '.' + fraction;
+        };
+
+        // The string of this.number as a fraction, e.g. '-3/4' (or as an integer if the denominator is 1)
+        BigFraction.prototype.toString = function() {
+            if (this.error) return 'NaN';
+            return this.numerator.toString() + (this.denominator.equals(1) ? '' : '/' + this.denominator.toString());
+        };
+
+        // Use shortcuts for functions names
+        BigFraction.prototype.plus = BigFraction.prototype.add;
+        BigFraction.prototype.minus = BigFraction.prototype.subtract;
+        BigFraction.prototype.div = BigFraction.prototype.divide;
+        BigFraction.prototype.mult = BigFraction.prototype.multiply;
+        BigFraction.prototype.pow = BigFraction.prototype.power;
+        BigFraction.prototype.val = BigFraction.prototype.toString;
+
+        return BigFraction;
+    }
+
+    // CommonJS
+    if (typeof exports === 'object' && typeof module !== 'undefined') {
+        module.exports = factory;
+    } else if (typeof window !== 'undefined') {
+        window.BigFraction = factory(window.BigNumber, window.BigDecimal);
+    }
+})();
@@ -8,552 +8,2892 @@
  * It works with both positive and negative integers
  */
 
+/* global Uint8Array, Uint32Array, Symbol, BigInt, Intl */
+
 !(function() {
     'use strict';
 
-    /**
-     * The base to which we hold the big number
-     *
-     * This must be set to no more than the square root of the maximum native integer that JS can represent accurately
-     * It can be any number from 2 up this maximum
-     * The larger the number the more efficient the big number arithmetic will be
-     * However, for division, the choice of number also has a significant impact. Infact for maximum efficiency
-     * the base should have as many common factors as possible. This is maximised by having the base to be a power
-     * of 2. JS typically holds integers accurately to at least up to 2^50 so a value of 2^25 would be the optimal
-     * base to use. Setting the base to a prime number will have the worst effect on performance so far as division
-     * is concerned.
-     *
-     * The original version was hard coded with a base of 10. If we set our base to this now it will have similar
-     * performance, though the division routine has been optimised such that even with this base it could be up
-     * to twice as fast.
-     *
-     * Even with the base set to 2 (i.e. the numbers are held in binary!) the arithmetic is surprisingly fast.
-     * But nothing like as fast as with a base of 2^25
+    /*
+     * Error raised (or held by an invalid number, see BigNumber.config) when an operation fails, shared by
+     * all constructors (see BigNumber.clone)
      *
-     * @type {number}
+     * The code property is machine readable and is one of:
+     *      INVALID          : the value given cannot be read as a number
+     *      DIVISION_BY_ZERO : division (or modulo) by zero
+     *      NEGATIVE_SQRT    : square root of a negative number
+     *      INVALID_ARGUMENT : an argument other than a number is out of its range (e.g. a negative power)
+     *      NOT_INVERTIBLE   : modular inverse of a number that is not coprime to the modulus
+     *      NO_RANDOM_SOURCE : no cryptographically secure source of random numbers is available
+     *      NOT_SUPPORTED    : a feature of the environment is not supported (e.g. BigInt)
+     *      OVERFLOW         : the number does not fit in the space given (e.g. a fixed number of bytes)
+     *      SYNTAX           : a formula or string cannot be read (see BigNumber.evaluate and BigNumber.parse), with its position
+     *      NO_SOLUTION      : an equation has no solution (e.g. a square root modulo a prime, see modSqrt)
+     *      BUDGET_EXCEEDED  : a search ran out of its iterations or time (see factorize), the error has what was found
      */
-    var base=Math.pow(2,25);
+    function BigNumberError(code, message) {
+        this.name = 'BigNumberError';
+        this.code = code;
+        this.message = message || messages[code] || code;
+        if (Error.captureStackTrace) Error.captureStackTrace(this, BigNumberError);
+        else this.stack = (new Error(this.message)).stack;
+    }
+    BigNumberError.prototype = Object.create(Error.prototype);
+    BigNumberError.prototype.constructor = BigNumberError;
+
+    // Error codes and their default messages
+    var messages = {
+        'INVALID': 'Invalid Number',
+        'DIVISION_BY_ZERO': 'Invalid Number - Division By Zero',
+        'NEGATIVE_SQRT': 'Invalid operation - Square root of a negative number',
+        'INVALID_ARGUMENT': 'Invalid argument',
+        'NOT_INVERTIBLE': 'Invalid operation - Number not invertible modulo the modulus',
+        'NO_RANDOM_SOURCE': 'No secure source of random numbers',
+        'NOT_SUPPORTED': 'Not supported by the environment',
+        'OVERFLOW': 'Number too large for the space given',
+        'SYNTAX': 'Syntax error',
+        'NO_SOLUTION': 'No solution',
+        'BUDGET_EXCEEDED': 'Budget exceeded'
+    };
+    for (var code in messages) BigNumberError[code] = code;
 
     /*
-     * Factorise the base - these then become the most efficient way to segment the division process
-     * Essentially, the most efficient base is the one with the most factors
-     * Which means that a base of a power of 2 is the best choice
-     *
-     * Note the factors array is an accumulation of the factors, not the factors themselves
-     *
-     * This is somewhat over the top, but is a good exercise to ensure that division is performed
-     * with maximum efficiency whatever the base :-)
+     * Returns a new BigNumber constructor, with its own base and settings (see BigNumber.clone)
      */
-    var factors=(function() {
-        var result=[];
-        var primes=[];
-        var factorisingbase=base;
-        var lastprime=2;
-
-        // Check number for prime (assumes previous primes have been found)
-        function isprime(prime) {
-            // Only need to test divisors so far as the square root of the number under test
-            for (var i=0; i<primes.length && primes[i]<Math.sqrt(prime); i++) {
-                if (prime%primes[i]==0) return false;
+    function factory(options) {
+
+        /**
+         * The base to which we hold the big number
+         *
+         * This must be set to no more than the square root of the maximum native integer that JS can represent accurately
+         * It can be any number from 2 up this maximum
+         * The larger the number the more efficient the big number arithmetic will be
+         * JS typically holds integers accurately to at least up to 2^50 so a value of 2^25 is the optimal base to use.
+         * A power of 2 also allows conversion to and from radices that are powers of 2 by shuffling bits.
+         *
+         * The original version was hard coded with a base of 10.
+         *
+         * Even with the base set to 2 (i.e. the numbers are held in binary!) the arithmetic is surprisingly fast.
+         * But nothing like as fast as with a base of 2^25, the base of the default constructor (see BigNumber.clone)
+         *
+         * @type {number}
+         */
+        var base=options.base;
+
+        /*
+         * The number of bits held in each element of the number when the base is a power of 2 (or 0 if it isn't)
+         * Numbers in a radix that is a power of 2 are then converted by shuffling bits rather than by arithmetic
+         */
+        var baseBits=(function() {
+            for (var bits=0,power=1; power<base; bits++) power*=2;
+            return power==base ? bits : 0;
+        })();
+
+        // The characters representing the digits of any radix from 2 to 36
+        var digitCharacters='0123456789abcdefghijklmnopqrstuvwxyz';
+
+        // Prefixes of strings that give the radix of the number
+        var radixPrefixes={'0x': 16, '0o': 8, '0b': 2};
+
+        // Helper function which returns the value of a digit (a number or a single character) in the given radix, or -1 if it isn't one
+        var digitValue = function(digit, radix) {
+            var value=-1;
+            if (typeof digit=='number') value=digit;
+            else if (typeof digit=='string' && digit.length==1) value=digitCharacters.indexOf(digit.toLowerCase());
+            return value>=0 && value<radix && Math.floor(value)===value ? value : -1;
+        };
+
+        // Helper function which returns the number of bits of a radix if it is a power of 2 (or 0 if it isn't)
+        var radixBits = function(radix) {
+            for (var bits=0; radix>1 && radix%2==0; bits++) radix/=2;
+            return radix==1 ? bits : 0;
+        };
+
+        // Helper function which checks a radix is an integer from 2 to 36
+        var validRadix = function(radix) {
+            return typeof radix=='number' && radix>=2 && radix<=36 && Math.floor(radix)===radix;
+        };
+
+        // Helper function which returns the absolute value of a given number
+        var abs = function(number) {
+            var bigNumber;
+            if (typeof number === 'undefined') {
+                return;
             }
-            return true;
-        }
-
-        while (factorisingbase>1) {
-            if (factorisingbase%lastprime==0) {
-                factorisingbase=Math.floor(factorisingbase/lastprime);
-                result.push(factorisingbase);
+            bigNumber = BigNumber(number);
+            bigNumber.sign = 1;
+            return bigNumber;
+        };
+
+        // Helper function that performs a cheap comparison - -1 if a<b,+1 if >b, 0 if a=b
+        var compare=function(a,b) {
+            if (a.length== b.length) {
+                for (var i= a.length-1; i>0 && a[i]==b[i]; i--);
+                return i<0 || a[i]==b[i] ? 0 : (a[i]<b[i] ? -1 : 1);
             }
-            else {
-                do {
-                    lastprime=(lastprime==2 ? 3 : lastprime+2);
-                } while (!isprime(lastprime));
-                primes.push(lastprime);
+            return a.length<b.length ? -1 : 1;
+        };
+
+        // Helper function to remove leading zero digits from a number
+        var clearLeadingZeros=function(number) {
+            for (var index = number.length - 1; number[index] === 0 && index >= 0; index--);
+            if (index < number.length - 1) number.splice(index-number.length+1);
+            return number;
+        };
+
+        // Helper function which removes leading zero digits, leaving [0] for zero
+        var normalise=function(number) {
+            clearLeadingZeros(number);
+            if (!number.length) number.push(0);
+            return number;
+        };
+
+        // Helper function which returns a string of zeros of the given length
+        var zeros=function(length) {
+            return length>0 ? new Array(length+1).join('0') : '';
+        };
+
+        /*
+         * Conversion to and from radices that are not a power of 2 (e.g. decimal)
+         *
+         * Digits are converted a chunk at a time, a chunk being as many digits as fit in a native number no larger than 2^25
+         * (7 decimal digits). Numbers longer than conversionThreshold chunks (or toDigitsThreshold elements when converting
+         * to digits) are split in two around a power radix^(chunk*2^level) and both halves are converted recursively.
+         * The cost of converting then follows that of multiplying and dividing, rather than growing with the square of the
+         * number of digits. The powers are calculated once for each radix, by repeated squaring, and cached
+         *
+         * Converting to digits by splitting only pays off once a big division costs less than the repeated division by the
+         * chunk value that it replaces, i.e. for numbers long enough for division by the reciprocal (see _newtonDivide)
+         */
+        var conversionThreshold=32;
+        var toDigitsThreshold=3000;
+        var maxChunkValue=Math.pow(2,25);
+        var radixCache={};
+
+        // Returns the chunk size (digits per chunk), chunk value (radix^chunk) and the cached powers (and their reciprocals) of a radix
+        var radixInfo=function(radix) {
+            var info=radixCache[radix];
+            if (!info) {
+                for (var chunk=1,chunkValue=radix; chunkValue*radix<=maxChunkValue; chunk++) chunkValue*=radix;
+                info=radixCache[radix]={chunk: chunk, chunkValue: chunkValue, powers: [BigNumber(chunkValue).number], reciprocals: []};
+            }
+            return info;
+        };
+
+        // Returns radix^(chunk*2^level) as a number array
+        var radixPower=function(info, level) {
+            var powers=info.powers;
+            while (powers.length<=level) powers.push(BigNumber._multiply(powers[powers.length-1], powers[powers.length-1]));
+            return powers[level];
+        };
+
+        // Converts the digit values digits[start] to digits[end-1] (most significant first) to a number array
+        var digitsToNumber=function(digits, start, end, info, radix) {
+            var length=end-start;
+            var index, level;
+            if (length<=info.chunk*conversionThreshold) {
+                // Accumulates the chunks from the most significant one (number = number * radix^chunk + chunk),
+                // the first chunk taking up whatever digits are left over
+                var number=[0];
+                for (index=start; index<end; index=chunkEnd) {
+                    var chunkEnd=index+((end-index)%info.chunk || info.chunk);
+                    for (var value=0,multiplier=1,digit=index; digit<chunkEnd; digit++) {
+                        value=value*radix+digits[digit];
+                        multiplier*=radix;
+                    }
+                    BigNumber._add(BigNumber._simplemultiply(number, multiplier), value<base ? [value] : BigNumber(value).number);
+                }
+                return normalise(number);
             }
-        }
-        return result;
-    })();
-
-
-    // Helper function which tests if a given character is a digit
-    var testDigit = function(digit) {
-        return (/^\d$/.test(digit));
-    };
-
-    // Helper function which returns the absolute value of a given number
-    var abs = function(number) {
-        var bigNumber;
-        if (typeof number === 'undefined') {
-            return;
-        }
-        bigNumber = BigNumber(number);
-        bigNumber.sign = 1;
-        return bigNumber;
-    };
-
-    // Helper function that performs a cheap comparison - -1 if a<b,+1 if >b, 0 if a=b
-    var compare=function(a,b) {
-        if (a.length== b.length) {
-            for (var i= a.length-1; i>0 && a[i]==b[i]; i--);
-            return i<0 || a[i]==b[i] ? 0 : (a[i]<b[i] ? -1 : 1);
-        }
-        return a.length<b.length ? -1 : 1;
-    };
 
-    // Helper function to remove leading zero digits from a number
-    var clearLeadingZeros=function(number) {
-        for (var index = number.length - 1; number[index] === 0 && index >= 0; index--);
-        if (index < number.length - 1) number.splice(index-number.length+1);
-        return number;
-    };
+            for (level=0; info.chunk*Math.pow(2,level+1)<length; level++);
+            var lowLength=info.chunk*Math.pow(2,level);
+            var high=digitsToNumber(digits, start, end-lowLength, info, radix);
+            var low=digitsToNumber(digits, end-lowLength, end, info, radix);
+            return normalise(BigNumber._add(BigNumber._multiply(high, radixPower(info, level)), low));
+        };
+
+        // Converts a positive number array to a string of digits, left padded with zeros up to length (if given)
+        var numberToDigits=function(number, info, radix, length) {
+            var str;
+            if (number.length<=toDigitsThreshold) {
+                // Extracts the chunks from the least significant one
+                var chunks=[];
+                number=number.slice();
+                while (number.length>1 || number[0]) {
+                    var chunk=BigNumber._simpledivide(number, info.chunkValue).toString(radix);
+                    chunks.push(zeros(info.chunk-chunk.length)+chunk);
+                }
+                str=chunks.reverse().join('').replace(/^0+/, '');
+            } else {
+                // Split around the largest cached power with about half the length of the number
+                for (var level=0; 2*radixPower(info, level+1).length-1<=number.length; level++);
+                var power=radixPower(info, level);
+                var division;
+                if (power.length>=newtonThreshold) {
+                    // Long powers are divided by often enough for their reciprocals to be worth keeping
+                    if (!info.reciprocals[level]) info.reciprocals[level]=BigNumber._reciprocal(power);
+                    division=BigNumber._newtonDivide(number, power, info.reciprocals[level]);
+                } else {
+                    division=BigNumber._divide(number, power);
+                }
+                str=numberToDigits(division[0], info, radix)+numberToDigits(division[1], info, radix, info.chunk*Math.pow(2,level));
+            }
+            return length ? zeros(length-str.length)+str : str;
+        };
+
+        /*
+         * Sets the number array of result from an array of digit values in the given radix (most significant first)
+         * A radix that is a power of 2 maps straight onto the bits of the elements of the number when the base is also one
+         */
+        var parseDigits=function(result, digits, radix) {
+            var bits=baseBits && radixBits(radix);
+            var number=[];
+            if (bits) {
+                for (var index=digits.length-1,accumulator=0,accumulatorBits=0; index>=0; index--) {
+                    accumulator|=digits[index]<<accumulatorBits;
+                    accumulatorBits+=bits;
+                    while (accumulatorBits>=baseBits) {
+                        number.push(accumulator&(base-1));
+                        accumulator>>>=baseBits;
+                        accumulatorBits-=baseBits;
+                    }
+                }
+                number.push(accumulator);
+            } else {
+                number=digitsToNumber(digits, 0, digits.length, radixInfo(radix), radix);
+            }
+            result.number=normalise(number);
+        };
+
+        // Helper function which returns the digits of integer.fraction * 10^exponent, or null if it is not an integer
+        var scientificDigits = function(integer, fraction, exponent) {
+            var digits = integer + fraction;
+            exponent -= fraction.length;
+            if (exponent >= 0) return digits + zeros(exponent);
+            if (/[^0]/.test(digits.slice(exponent))) return null;
+            return digits.slice(0, exponent) || '0';
+        };
+
+        // Check if argument is valid array
+        var isArray = function(arg) {
+            return Object.prototype.toString.call(arg) === '[object Array]';
+        };
+
+        // Check if argument is a big number of another constructor (see BigNumber.clone)
+        var isForeign = function(arg) {
+            return !(arg instanceof BigNumber) && typeof arg === 'object' && arg !== null && isArray(arg.number) &&
+                typeof arg.constructor === 'function' && typeof arg.constructor.clone === 'function';
+        };
+
+        // Check if argument is a native BigInt
+        var isBigInt = function(arg) {
+            return Object.prototype.toString.call(arg) === '[object BigInt]';
+        };
+
+        // Settings of the constructor (see BigNumber.config)
+        var settings = {
+            immutable: false,
+            errorMode: 'nan',
+            fractions: 'error'
+        };
+
+        // Helper function which returns the object an operation should store its result in
+        // In immutable mode this is a fresh copy so that the operands are never modified
+        var target = function(bigNumber) {
+            return settings.immutable ? BigNumber(bigNumber) : bigNumber;
+        };
+
+        // Helper function which fails an operation according to the errorMode setting: either by throwing
+        // a BigNumberError or by setting the result to the invalid (NaN) state
+        var fail = function(result, code, message) {
+            var error = new BigNumberError(code, message);
+            if (settings.errorMode === 'throw') throw error;
+            return invalidate(result, error);
+        };
+
+        // Helper function which sets a number to the invalid (NaN) state
+        var invalidate = function(result, error) {
+            result.number = [];
+            result.sign = 1;
+            result.rest = 0;
+            result.error = error;
+            return result;
+        };
+
+        // Helper function which makes the result invalid if the operand is, returning true if the result is invalid
+        var propagate = function(result, bigNumber) {
+            if (bigNumber.error && !result.error) invalidate(result, bigNumber.error);
+            return !!result.error;
+        };
+
+        // Helper function which adds the signed bigNumber to the target (the number array of bigNumber may be overwritten)
+        var signedAdd = function(result, bigNumber) {
+            if (result.sign === bigNumber.sign) {
+                result.number = BigNumber._add(result.number, bigNumber.number);
+                return result;
+            }
 
-    // Gets a single decimal digit value of the number assuming it is less than 10 (used by the toString() function)
-    var singleDigit=function(number) {
-        for (var digit= 0,multiplier= 1,i=0; i<number.length && digit<10; i++) {
-            digit+=(multiplier*number[i]);
-            multiplier*=base;
-        }
-        if (digit<10) return digit.toString();
-        return '';
-    };
+            // Different signs: subtract the smaller magnitude from the larger one which then gives the sign
+            var comparison=compare(result.number,bigNumber.number);
+            if (comparison<0) {
+                result.number = BigNumber._subtract(bigNumber.number, result.number);
+                result.sign = bigNumber.sign;
+            } else {
+                result.number = BigNumber._subtract(result.number, bigNumber.number);
+                if (comparison==0) {
+                    result.number = [0];
+                    result.sign = 1;
+                }
+            }
+            return result;
+        };
+
+
+        /*
+         * Constructor function which creates a new BigNumber object from an integer, a string, an array or other BigNumber object
+         * Strings and arrays hold digits in the given radix (2 to 36, by default 10 or as given by a 0x, 0o or 0b string prefix)
+         *
+         * IMPORTANT NOTE: Once we allow for any base, the routines to initiate a number from a string of decimal numbers
+         * and to output a number in decimal form (.val()) now use big number arithmetic. This has potential to get
+         * us into trouble if we are to build numbers from within internal routines that are already manipulating numbers. It can cause
+         * a stack overflow. This situation is now avoided by optimising the initialisation to handle more specifically
+         * (and efficiently) numbers constructed from existing BigNumber objects or native numbers.
+         */
+        function BigNumber(initialNumber, radix) {
+
+            if (!(this instanceof BigNumber)) return new BigNumber(initialNumber, radix);
+
+            // Member properties of this class
+            this.number = [];
+            this.sign = 1;
+            this.rest = 0;
+            this.error = null;
+
+            // A native number must be finite, and an integer unless fractions are truncated (see BigNumber.config)
+            if (typeof initialNumber=='number' && !(isFinite(initialNumber) && Math.floor(initialNumber)===initialNumber)) {
+                if (!isFinite(initialNumber) || settings.fractions !== 'truncate') {
+                    fail(this, BigNumberError.INVALID, 'Invalid Number: ' + initialNumber + (isFinite(initialNumber) ? ' is not an integer' : ''));
+                    return;
+                }
+                initialNumber=initialNumber<0 ? Math.ceil(initialNumber) : Math.floor(initialNumber);
+            }
 
-    // Check if argument is valid array
-    var isArray = function(arg) {
-        return Object.prototype.toString.call(arg) === '[object Array]';
-    };
+            // No parameter (or null) initialises the number to zero, as does the native 0 which the loop below leaves empty
+            if (typeof initialNumber === 'undefined' || initialNumber === null || initialNumber === 0) {
+                this.number = [0];
+                return;
+            }
 
-    // Error values (set on BigNumber.number)
-    var errors = {
-        'invalid': 'Invalid Number',
-        'division by zero': 'Invalid Number - Division By Zero',
-        'square root negative': 'Invalid operation - Square root of a negative number'
-    };
+            // A big number of another constructor (see BigNumber.clone) with a different base is read from its digits
+            // in a radix which suits both bases
+            if (isForeign(initialNumber) && initialNumber.constructor.base !== base && !initialNumber.error) {
+                radix = baseBits && radixBits(initialNumber.constructor.base) ? 32 : 10;
+                initialNumber = initialNumber.toString(radix);
+            }
 
+            // A big number parameter initialises this number to the same value
+            if (initialNumber instanceof BigNumber || isForeign(initialNumber)) {
+                this.number = initialNumber.number.slice();
+                this.sign = initialNumber.sign;
+                this.rest = initialNumber.rest;
+                this.error = initialNumber.error;
+                return;
+            }
 
-    /*
-     * Constructor function which creates a new BigNumber object from an integer, a string, an array or other BigNumber object
-     *
-     * IMPORTANT NOTE: Once we allow for any base, the routines to initiate a number from a string of decimal numbers
-     * and to output a number in decimal form (.val()) now use big number arithmetic. This has potential to get
-     * us into trouble if we are to build numbers from within internal routines that are already manipulating numbers. It can cause
-     * a stack overflow. This situation is now avoided by optimising the initialisation to handle more specifically
-     * (and efficiently) numbers constructed from existing BigNumber objects or native numbers.
-     */
-    function BigNumber(initialNumber) {
+            // A native number makes for a fast initialisation of the number
+            if (typeof initialNumber=='number') {
+                this.sign=initialNumber<0 ? -1 : 1;
+                initialNumber=Math.abs(initialNumber);
+
+                // Dividing a double above 2^53 by a base which is not a power of 2 would round it, but such a double
+                // is even: it is halved (exactly) down to 2^53 and the number multiplied back by the power of 2
+                for (var halvings=0; !baseBits && initialNumber>9007199254740992; halvings++) initialNumber/=2;
+                while (initialNumber>0) {
+                    this.number.push(initialNumber%base);
+                    initialNumber=Math.floor(initialNumber/base);
+                }
+                if (halvings) this.number=BigNumber._multiply(this.number, powerOfTwo(halvings));
+                return;
+            }
 
-        if (!(this instanceof BigNumber)) return new BigNumber(initialNumber);
+            // A native BigInt is converted straight to elements (see fromBigInt)
+            if (isBigInt(initialNumber)) {
+                var bigNumber = BigNumber.fromBigInt(initialNumber);
+                this.number = bigNumber.number;
+                this.sign = bigNumber.sign;
+                return;
+            }
 
-        // Member properties of this class
-        this.number = [];
-        this.sign = 1;
-        this.rest = 0;
+            // Otherwise, now create the number from a String or Array
 
-        // No parameter initialises the number to zero
-        if (!initialNumber) {
-            this.number = [0];
-            return;
-        }
+            // The initial number can be an array or object
+            // e.g. array     : [3,2,1], ['+',3,2,1], ['-',3,2,1], ['-','f','f'] (radix 16)
+            //      number    : 312
+            //      string    : '321', '+321', -321', 'ff' (radix 16), '0xff', '-0b101', '0o17'
+            //      BigNumber : BigNumber(321)
+            // Every character except the first (and a radix prefix for strings) must be a digit in the radix
+            var index;
+            var sign=1;
+            var digits=[];
+            var radixGiven=typeof radix !== 'undefined';
+            if (!radixGiven) radix=10;
+            else if (!validRadix(radix)) {
+                fail(this, BigNumberError.INVALID_ARGUMENT, 'Invalid radix: ' + radix);
+                return;
+            }
+            // The sign is dropped from a copy, so that the array given is never modified
+            if (isArray(initialNumber)) {
+                if (initialNumber[0] === '-' || initialNumber[0] === '+') {
+                    sign = initialNumber[0] === '+' ? 1 : -1;
+                    initialNumber = initialNumber.slice(1);
+                }
+            } else {
+                initialNumber = initialNumber.toString();
+                if (initialNumber.charAt(0) === '-' || initialNumber.charAt(0) === '+') {
+                    sign = initialNumber.charAt(0) === '+' ? 1 : -1;
+                    initialNumber = initialNumber.substring(1);
+                }
 
-        // A big number parameter initialises this number to the same value
-        if (initialNumber instanceof BigNumber) {
-            this.number = initialNumber.number.slice();
-            this.sign = initialNumber.sign;
-            this.rest = initialNumber.rest;
-            return;
-        }
+                // A prefix gives the radix if none is specified (or may repeat the one specified)
+                var prefixRadix=radixPrefixes[initialNumber.substring(0, 2).toLowerCase()];
+                if (prefixRadix && (!radixGiven || prefixRadix===radix)) {
+                    radix=prefixRadix;
+                    initialNumber=initialNumber.substring(2);
+                    if (!initialNumber.length) {
+                        fail(this, BigNumberError.INVALID);
+                        return;
+                    }
+                }
 
-        // A native number makes for a fast initialisation of the number
-        if (typeof initialNumber=='number') {
-            this.sign=initialNumber<0 ? -1 : 1;
-            initialNumber=Math.abs(initialNumber);
-            while (initialNumber>0) {
-                this.number.push(initialNumber%base);
-                initialNumber=Math.floor(initialNumber/base);
+                // A decimal string may be in scientific notation if its value is an integer, e.g. '1.5e30'
+                var scientific=radix===10 && /^(\d+)(?:\.(\d*))?e([+-]?\d+)$/i.exec(initialNumber);
+                if (scientific) {
+                    initialNumber=scientificDigits(scientific[1], scientific[2] || '', Number(scientific[3]));
+                    if (initialNumber===null) {
+                        fail(this, BigNumberError.INVALID, 'Invalid Number: ' + scientific[0] + ' is not an integer');
+                        return;
+                    }
+                }
             }
-            return;
-        }
-
-        // Otherwise, now create the number from a String or Array
-        var index;
-        var multipleoftens=BigNumber(1);
-        var ten=BigNumber(10);
 
-        // Method removed from public API and made local within this context
-        function addDigit(digit) {
-            if (testDigit(digit)) {
-                this.add(BigNumber(digit).mult(multipleoftens));
-                multipleoftens.mult(ten);
-                return true;
+            // There must be digits (after the sign), so that neither '' nor a bare sign is read as zero
+            if (!initialNumber.length) {
+                fail(this, BigNumberError.INVALID);
+                return;
             }
-            return false;
+            for (index = 0; index < initialNumber.length; index++) {
+                digits.push(digitValue(initialNumber[index], radix));
+                if (digits[index] < 0) {
+                    fail(this, BigNumberError.INVALID);
+                    return;
+                }
+            }
+            parseDigits(this, digits, radix);
+            this.sign=this.isZero() ? 1 : sign;
         }
 
-        // The initial number can be an array or object
-        // e.g. array     : [3,2,1], ['+',3,2,1], ['-',3,2,1]
-        //      number    : 312
-        //      string    : '321', '+321', -321'
-        //      BigNumber : BigNumber(321)
-        // Every character except the first must be a digit
-        var sign=1;
-        if (isArray(initialNumber)) {
-            if (initialNumber.length && initialNumber[0] === '-' || initialNumber[0] === '+') {
-                sign = initialNumber[0] === '+' ? 1 : -1;
-                initialNumber.shift(0);
-            }
-            for (index = initialNumber.length - 1; index >= 0; index--) {
-                if (!addDigit.call(this,initialNumber[index])) {
-                    this.number = errors['invalid'];
-                    return;
+        /*
+         * Reads and/or changes the settings of the constructor. Options not given are left unchanged
+         *
+         *      immutable : false (default) - operations store their result in the object they are called on
+         *                  true            - every operation returns a new BigNumber and never modifies its operands
+         *      errorMode : 'nan' (default)  - a failing operation leaves an invalid (NaN) number which any further
+         *                                     operation propagates (see isValid, isNaN and the error property)
+         *                  'throw'          - a failing operation throws a BigNumberError
+         *      fractions : 'error' (default) - a native number with a fraction fails the constructor, like NaN and Infinity
+         *                  'truncate'        - the fraction of a native number is dropped (rounding towards zero)
+         *
+         * Returns a copy of the settings now in force, with the base of the constructor (see BigNumber.clone)
+         */
+        BigNumber.config = function(options) {
+            if (options && typeof options.immutable !== 'undefined') settings.immutable = !!options.immutable;
+            if (options && typeof options.errorMode !== 'undefined') {
+                if (options.errorMode !== 'nan' && options.errorMode !== 'throw') {
+                    throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Invalid errorMode: ' + options.errorMode);
                 }
+                settings.errorMode = options.errorMode;
             }
-        } else {
-            initialNumber = initialNumber.toString();
-            if (initialNumber.charAt(0) === '-' || initialNumber.charAt(0) === '+') {
-                sign = initialNumber.charAt(0) === '+' ? 1 : -1;
-                initialNumber = initialNumber.substring(1);
+            if (options && typeof options.fractions !== 'undefined') {
+                if (options.fractions !== 'error' && options.fractions !== 'truncate') {
+                    throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Invalid fractions: ' + options.fractions);
+                }
+                settings.fractions = options.fractions;
             }
-
-            for (index = initialNumber.length - 1; index >= 0; index--) {
-                if (!addDigit.call(this,parseInt(initialNumber.charAt(index), 10))) {
-                    this.number = errors['invalid'];
-                    return;
+            return {
+                base: base,
+                immutable: settings.immutable,
+                errorMode: settings.errorMode,
+                fractions: settings.fractions
+            };
+        };
+
+        /*
+         * Creates a new BigNumber constructor, independent of this one: its numbers are held in its own base and it has
+         * its own settings, those not given being the defaults (see BigNumber.config)
+         *
+         *      base : the base of the elements of its numbers, an integer from 2 to 2^25 (the default)
+         *
+         * Numbers of one constructor may be given to another, e.g. BigNumber.clone({base: 10})(BigNumber(5))
+         * The module (index.js) gives every constructor, clones included, its own BigDecimal, BigFraction, compile and
+         * evaluate, which build its numbers and follow its settings
+         */
+        BigNumber.clone = function(options) {
+            options = options || {};
+            var cloneBase = typeof options.base === 'undefined' ? Math.pow(2, 25) : options.base;
+            if (!(validIndex(cloneBase) && cloneBase >= 2 && cloneBase <= Math.pow(2, 25))) {
+                throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Invalid base: ' + cloneBase);
+            }
+            var constructor = factory({base: cloneBase});
+            constructor.config(options);
+            return constructor;
+        };
+
+        // The base of the elements of the numbers of this constructor
+        BigNumber.base = base;
+
+        // Set the number to a uniform random number of the length specified by digits (or 0 without digits)
+        // The number comes from a cryptographically secure source, see BigNumber.random
+        BigNumber.prototype.random=function(digits) {
+            var result = target(this);
+            result.number = [0];
+            result.sign=1;
+            result.error=null;
+            if (typeof digits=='number' && digits>=1) {
+                var min=BigNumber(10).pow(Math.floor(digits)-1);
+                result.number=BigNumber.random({min: min, max: BigNumber(min).multiply(10).subtract(1)}).number;
+            }
+            return result;
+        };
+
+        // returns:
+        //      0 if this.number === number
+        //      -1 if this.number < number
+        //      1 if this.number > number
+        //      NaN if either number is invalid (so that all comparisons are false)
+        BigNumber.prototype._compare = function(number) {
+            // if the function is called with no arguments then return 0
+            if (typeof number === 'undefined') return 0;
+
+            var bigNumber = BigNumber(number);
+            if (this.error || bigNumber.error) return NaN;
+            if (this.sign == bigNumber.sign) return this.sign*compare(this.number,bigNumber.number);
+            else return this.sign;
+        };
+
+        // Greater than
+        BigNumber.prototype.gt = function(number) {
+            return this._compare(number) > 0;
+        };
+
+        // Greater than or equal
+        BigNumber.prototype.gte = function(number) {
+            return this._compare(number) >= 0;
+        };
+
+        // this.number equals n
+        BigNumber.prototype.equals = function(number) {
+            return this._compare(number) === 0;
+        };
+
+        // Less than or equal
+        BigNumber.prototype.lte = function(number) {
+            return this._compare(number) <= 0;
+        };
+
+        // Less than
+        BigNumber.prototype.lt = function(number) {
+            return this._compare(number) < 0;
+        };
+
+        // Addition
+        BigNumber.prototype.add = function(number) {
+            var result = target(this);
+            if (typeof number === 'undefined') return result;
+            var bigNumber = BigNumber(number);
+            if (propagate(result, bigNumber)) return result;
+            return signedAdd(result, bigNumber);
+        };
+
+        // Subtraction
+        BigNumber.prototype.subtract = function(number) {
+            var result = target(this);
+            if (typeof number === 'undefined') return result;
+            var bigNumber = BigNumber(number);
+            if (propagate(result, bigNumber)) return result;
+            bigNumber.sign = -bigNumber.sign;
+            return signedAdd(result, bigNumber);
+        };
+
+        // adds two positive BigNumbers
+        BigNumber._add = function(a, b) {
+            for (var index = 0,remainder=0; index < b.length || remainder>0; index++) {
+                a[index]=remainder+(a[index] || 0)+(b[index] || 0);
+                remainder=Math.floor(a[index] / base);
+                a[index]%=base;
+            }
+            return a;
+        };
+
+        // a - b
+        // a and b are 2 positive BigNumbers and a > b
+        BigNumber._subtract = function(a, b) {
+            for (var index = 0; index < b.length || a[index]<0; index++) {
+                if (index in b) a[index] -= b[index];
+                if (a[index] < 0) {
+                    a[index] += base;
+                    a[index+1]--;
+                }
+            }
+            return clearLeadingZeros(a);
+        };
+
+        // this.number * number
+        BigNumber.prototype.multiply = function(number) {
+            var result = target(this);
+            if (typeof number === 'undefined') return result;
+
+            var bigNumber=number;
+            if (!(number instanceof BigNumber)) bigNumber = BigNumber(number);
+            if (propagate(result, bigNumber)) return result;
+            if (result.isZero() || bigNumber.isZero()) {
+                result.number = [0];
+                result.sign = 1;
+                return result;
+            }
+            var sign = result.sign * bigNumber.sign;
+            result.number = BigNumber._multiply(result.number, bigNumber === this ? result.number : bigNumber.number);
+            result.sign = sign;
+            return result;
+        };
+
+        /*
+         * Multiplication algorithms
+         *
+         * The schoolbook method takes n*m native multiplications for numbers of n and m elements. Karatsuba's method
+         * splits each number in two halves and gets by with 3 half-size multiplications instead of 4 (n^1.58), Toom-3
+         * splits each number in three thirds and gets by with 5 third-size multiplications instead of 9 (n^1.46).
+         * The splitting has an overhead which makes these only worthwhile once the numbers are long enough: below
+         * karatsubaThreshold elements the schoolbook method is used and Toom-3 takes over from karatsubaThreshold at
+         * toom3Threshold elements. Squaring a number needs about half the native multiplications of the schoolbook method
+         * and the split methods recurse on squares, so squares are dispatched separately (multiplying an array by itself)
+         */
+        var karatsubaThreshold=40;
+        var toom3Threshold=256;
+
+        // Multiplies two positive BigNumbers returning the product as a new array, choosing the algorithm by size
+        BigNumber._multiply = function(a, b) {
+            if (a === b) return BigNumber._square(a);
+            if (a.length < b.length) {
+                var swap=a;
+                a=b;
+                b=swap;
+            }
+            if (b.length < karatsubaThreshold) return BigNumber._schoolbookMultiply(a, b);
+
+            // Very unbalanced numbers are best multiplied a slice of the longer number at a time
+            if (a.length >= 2*b.length) {
+                var result=new Array(a.length+b.length);
+                for (var index=0; index<result.length; index++) result[index]=0;
+                for (index=0; index<a.length; index+=b.length) {
+                    addShifted(result, BigNumber._multiply(normalise(a.slice(index, index+b.length)), b), index);
+                }
+                return normalise(result);
+            }
+            return b.length < toom3Threshold ? BigNumber._karatsubaMultiply(a, b) : BigNumber._toom3Multiply(a, b);
+        };
+
+        // Squares a positive BigNumber returning the result as a new array, choosing the algorithm by size
+        BigNumber._square = function(a) {
+            if (a.length < karatsubaThreshold) return BigNumber._schoolbookSquare(a);
+            return a.length < toom3Threshold ? BigNumber._karatsubaMultiply(a, a) : BigNumber._toom3Multiply(a, a);
+        };
+
+        // Multiplies two positive BigNumbers using the schoolbook method returning the product as a new array
+        BigNumber._schoolbookMultiply = function(a, b) {
+            var result = [];
+            for (var index = 0; index < a.length; index++) {
+                for (var remainder = 0, givenNumberIndex = 0; givenNumberIndex < b.length || remainder > 0; givenNumberIndex++) {
+                    result[index + givenNumberIndex] = (remainder += (result[index + givenNumberIndex] || 0) + a[index] * (b[givenNumberIndex] || 0)) % base;
+                    remainder = Math.floor(remainder / base);
+                }
+            }
+            return normalise(result);
+        };
+
+        // Squares a positive BigNumber using the schoolbook method, calculating each cross product a[i]*a[j] only once
+        BigNumber._schoolbookSquare = function(a) {
+            var result = [];
+            var index, remainder, temp;
+            for (index = 0; index < 2 * a.length; index++) result[index] = 0;
+
+            // Cross products below the diagonal
+            for (index = 0; index < a.length; index++) {
+                for (remainder = 0, temp = index + 1; temp < a.length || remainder > 0; temp++) {
+                    result[index + temp] = (remainder += result[index + temp] + a[index] * (a[temp] || 0)) % base;
+                    remainder = Math.floor(remainder / base);
                 }
             }
-        }
-        this.sign=sign;
-    }
-
-    // Set the number to a positive random number of the length specified by digits
-    BigNumber.prototype.random=function(digits) {
-        this.number = [];
-        this.sign=1;
-        if (typeof digits=='number' && digits>0) {
-            var digitsPerElement = Math.log(base) / Math.log(10);
-            while (digits > digitsPerElement) {
-                this.number.push(Math.floor(Math.random() * base));
-                digits -= digitsPerElement;
-            }
-            this.number.push(1+Math.floor(Math.random() * Math.pow(10, digits)));
-        }
-        return this;
-    };
-
-    // returns:
-    //      0 if this.number === number
-    //      -1 if this.number < number
-    //      1 if this.number > number
-    BigNumber.prototype._compare = function(number) {
-        // if the function is called with no arguments then return 0
-        if (typeof number === 'undefined') return 0;
-
-        var bigNumber = BigNumber(number);
-        if (this.sign == bigNumber.sign) return this.sign*compare(this.number,bigNumber.number);
-        else return this.sign;
-    };
-
-    // Greater than
-    BigNumber.prototype.gt = function(number) {
-        return this._compare(number) > 0;
-    };
-
-    // Greater than or equal
-    BigNumber.prototype.gte = function(number) {
-        return this._compare(number) >= 0;
-    };
-
-    // this.number equals n
-    BigNumber.prototype.equals = function(number) {
-        return this._compare(number) === 0;
-    };
-
-    // Less than or equal
-    BigNumber.prototype.lte = function(number) {
-        return this._compare(number) <= 0;
-    };
-
-    // Less than
-    BigNumber.prototype.lt = function(number) {
-        return this._compare(number) < 0;
-    };
-
-    // Addition
-    BigNumber.prototype.add = function(number) {
-        if (typeof number === 'undefined') return this;
-        var bigNumber = BigNumber(number);
 
-        if (this.sign !== bigNumber.sign) {
-            if (this.sign > 0) {
-                bigNumber.sign = 1;
-                return this.minus(bigNumber);
+            // Double them and add the squares on the diagonal
+            for (index = 0, remainder = 0; index < result.length; index++) {
+                temp = remainder + 2 * result[index] + (index % 2 ? 0 : a[index / 2] * a[index / 2]);
+                result[index] = temp % base;
+                remainder = Math.floor(temp / base);
             }
-            else {
-                this.sign = 1;
-                return bigNumber.minus(this);
+            return normalise(result);
+        };
+
+        // Helper function which adds the positive number x into result starting at element shift
+        var addShifted=function(result, x, shift) {
+            if (x.length==1 && !x[0]) return result;
+            for (var index=0,remainder=0; index<x.length || remainder>0; index++) {
+                remainder+=(result[index+shift] || 0)+(x[index] || 0);
+                result[index+shift]=remainder%base;
+                remainder=Math.floor(remainder/base);
+            }
+            return result;
+        };
+
+        // Helper function which returns a zero filled array to hold the product of a and b
+        var productArray=function(a, b) {
+            for (var result=[],index=a.length+b.length+1; index>0; index--) result.push(0);
+            return result;
+        };
+
+        // Helper function which splits a positive number into parts of size elements (least significant first)
+        var split=function(number, size, parts) {
+            for (var result=[],index=0; index<parts; index++) result.push(normalise(number.slice(index*size, (index+1)*size)));
+            return result;
+        };
+
+        /*
+         * Multiplies two positive BigNumbers using Karatsuba's method returning the product as a new array
+         * a=a1*base^m+a0 and b=b1*base^m+b0 then a*b = a1*b1*base^2m + ((a0+a1)*(b0+b1)-a0*b0-a1*b1)*base^m + a0*b0
+         */
+        BigNumber._karatsubaMultiply = function(a, b) {
+            var size=Math.ceil(Math.max(a.length, b.length)/2);
+            var x=split(a, size, 2);
+            var y=a === b ? x : split(b, size, 2);
+
+            var low=BigNumber._multiply(x[0], y[0]);
+            var high=BigNumber._multiply(x[1], y[1]);
+            var xsum=BigNumber._add(x[0].slice(), x[1]);
+            var middle=BigNumber._multiply(xsum, a === b ? xsum : BigNumber._add(y[0].slice(), y[1]));
+            BigNumber._subtract(BigNumber._subtract(middle, low), high);
+
+            var result=productArray(a, b);
+            addShifted(result, low, 0);
+            addShifted(result, middle, size);
+            addShifted(result, high, 2*size);
+            return normalise(result);
+        };
+
+        // Helper function which returns the signed value x + factor*y, factor being a native integer (Toom-3 only)
+        var combine=function(x, y, factor) {
+            var term={number: BigNumber._simplemultiply(y.number.slice(), Math.abs(factor)), sign: factor<0 ? -y.sign : y.sign};
+            return signedAdd({number: x.number.slice(), sign: x.sign}, term);
+        };
+
+        // Helper function which returns the signed value x / divisor where the division is known to be exact (Toom-3 only)
+        var exactDivide=function(x, divisor) {
+            var result={number: x.number.slice(), sign: x.sign};
+            BigNumber._simpledivide(result.number, divisor);
+            return result;
+        };
+
+        /*
+         * Multiplies two positive BigNumbers using the Toom-3 method returning the product as a new array
+         * Each number is split in three parts, the coefficients of a polynomial of degree 2 at base^size, which are
+         * evaluated at 0, 1, -1, -2 and infinity. Multiplying these values gives the values of the product polynomial
+         * (of degree 4) at the same points, from which its coefficients are interpolated (using Bodrato's sequence)
+         */
+        BigNumber._toom3Multiply = function(a, b) {
+            var size=Math.ceil(Math.max(a.length, b.length)/3);
+
+            // The values of the polynomial with coefficients parts at 0, 1, -1, -2 and infinity
+            var evaluate=function(parts) {
+                var x0={number: parts[0], sign: 1}, x1={number: parts[1], sign: 1}, x2={number: parts[2], sign: 1};
+                var even=combine(x0, x2, 1);
+                return [x0, combine(even, x1, 1), combine(even, x1, -1), combine(combine(x0, x1, -2), x2, 4), x2];
+            };
+            var x=evaluate(split(a, size, 3));
+            var y=a === b ? x : evaluate(split(b, size, 3));
+
+            for (var r=[],index=0; index<5; index++) {
+                r.push({number: BigNumber._multiply(x[index].number, a === b ? x[index].number : y[index].number), sign: x[index].sign*y[index].sign});
             }
-        }
 
-        this.number = BigNumber._add(this.number, bigNumber.number);
-        return this;
-    };
+            // Interpolation: r = [r(0), r(1), r(-1), r(-2), r(infinity)] becomes the coefficients of the product
+            var r3=exactDivide(combine(r[3], r[1], -1), 3);
+            var r1=exactDivide(combine(r[1], r[2], -1), 2);
+            var r2=combine(r[2], r[0], -1);
+            r3=combine(exactDivide(combine(r2, r3, -1), 2), r[4], 2);
+            r2=combine(combine(r2, r1, 1), r[4], -1);
+            r1=combine(r1, r3, -1);
+
+            var result=productArray(a, b);
+            addShifted(result, r[0].number, 0);
+            addShifted(result, r1.number, size);
+            addShifted(result, r2.number, 2*size);
+            addShifted(result, r3.number, 3*size);
+            addShifted(result, r[4].number, 4*size);
+            return normalise(result);
+        };
+
+        // Very simply multiplication with carry assuming b, the multicand is a native number no larger than 2^25 and a is a BigNumber and all positive
+        BigNumber._simplemultiply=function(a,b) {
+            var remainder=0;
+            for (var index = 0; index < a.length; index++) {
+                var temp=remainder + a[index] * b;
+                a[index] = temp % base;
+                remainder = Math.floor(temp / base);
+            }
+            for (; remainder; remainder = Math.floor(remainder / base)) a.push(remainder % base);
+            return a;
+        };
+
+        // Very simple division assuming b, the divisor is a native number no larger than 2^25 and a is a BigNumber and all positive
+        // a is set to the quotient and the remainder is returned
+        BigNumber._simpledivide=function(a,b) {
+            for (var index = a.length - 1,rest=0; index >= 0; index--) {
+                var temp = rest * base + a[index];
+                a[index] = Math.floor(temp / b);
+                rest = temp % b;
+            }
+            clearLeadingZeros(a);
+            if (!a.length) a.push(0);
+            return rest;
+        };
+
+        /*
+         * Division algorithms
+         *
+         * Long division (Knuth's Algorithm D) estimates each element of the quotient from the top two elements of the
+         * remainder and the top element of the divisor, which the normalisation (multiplying both numbers by
+         * base/(top element of the divisor+1)) makes accurate to within 2 - and a check with the next element of the divisor
+         * makes nearly always exact. It takes about n*m native multiplications for a quotient of m and a divisor of n elements.
+         *
+         * Divisors of at least newtonThreshold elements with a quotient at least as long are instead divided by multiplying
+         * by their reciprocal, base^2n/divisor, calculated by Newton's method. This follows the cost of multiplication.
+         */
+        var newtonThreshold=2000;
+
+        // Divides two positive BigNumbers a/b (b not zero) returning the quotient and the remainder as new arrays: [quotient, remainder]
+        BigNumber._divide = function(a, b) {
+            // Action according to relative size of numerator and denominator
+            switch (compare(a,b)) {
+            case -1:
+                return [[0], a.slice()];
+
+            case 0:
+                return [[1], [0]];
+            }
 
-    // Subtraction
-    BigNumber.prototype.subtract = function(number) {
-        if (typeof number === 'undefined') return this;
-        var bigNumber = BigNumber(number);
+            if (b.length==1) {
+                // If we are dividing by a small number (less than our base) then we can do this division step natively
+                // which is much faster
+                var quotient=a.slice();
+                return [quotient, [BigNumber._simpledivide(quotient, b[0])]];
+            }
+            if (b.length>=newtonThreshold && a.length-b.length>=newtonThreshold) return BigNumber._newtonDivide(a, b);
+            return BigNumber._knuthDivide(a, b);
+        };
+
+        // Divides two positive BigNumbers a/b (b of at least 2 elements) by long division: Knuth's Algorithm D
+        BigNumber._knuthDivide = function(a, b) {
+            var n=b.length;
+            var m=a.length-n;
+            if (m<0) return [[0], a.slice()];
+
+            // Normalise so that the top element of the divisor is at least half the base
+            var normaliser=Math.floor(base/(b[n-1]+1));
+            var u=BigNumber._simplemultiply(a.slice(), normaliser);
+            var v=BigNumber._simplemultiply(b.slice(), normaliser);
+            while (u.length<=a.length) u.push(0);
+            var vTop=v[n-1], vNext=v[n-2];
+            var quotient=[];
+
+            for (var j=m; j>=0; j--) {
+                // Estimate the quotient element from the top of the remainder, then check it with the next elements
+                var top=u[j+n]*base+u[j+n-1];
+                var estimate=Math.floor(top/vTop);
+                var rest=top-estimate*vTop;
+                while (estimate>=base || estimate*vNext>rest*base+u[j+n-2]) {
+                    estimate--;
+                    rest+=vTop;
+                    if (rest>=base) break;
+                }
 
-        if (this.sign !== bigNumber.sign) {
-            BigNumber._add(this.number, bigNumber.number);
-            return this;
-        }
+                // Subtract estimate*v from the remainder
+                for (var i=0,carry=0,borrow=0; i<n; i++) {
+                    var product=estimate*v[i]+carry;
+                    carry=Math.floor(product/base);
+                    var difference=u[i+j]-product%base-borrow;
+                    borrow=difference<0 ? 1 : 0;
+                    u[i+j]=difference+borrow*base;
+                }
+                difference=u[j+n]-carry-borrow;
+
+                // The estimate was one too many (rarely): add v back
+                if (difference<0) {
+                    estimate--;
+                    for (i=0,carry=0; i<n; i++) {
+                        var sum=u[i+j]+v[i]+carry;
+                        carry=sum>=base ? 1 : 0;
+                        u[i+j]=sum-carry*base;
+                    }
+                    difference+=carry;
+                }
+                u[j+n]=difference;
+                quotient[j]=estimate;
+            }
 
-        // If current number is lesser than the given bigNumber, the result will be negative
-        var comparison=compare(this.number,bigNumber.number);
-        if (this.sign == bigNumber.sign) this.sign=comparison==0 ? 1 : this.sign*comparison;
+            // The remainder is what is left of u, undoing the normalisation
+            u.length=n;
+            BigNumber._simpledivide(normalise(u), normaliser);
+            return [normalise(quotient), u];
+        };
+
+        // Helper function which returns number*base^shift as a new array
+        var shiftUp=function(number, shift) {
+            if (number.length==1 && !number[0]) return [0];
+            var result=[];
+            while (result.length<shift) result.push(0);
+            return result.concat(number);
+        };
+
+        // Helper function which returns number/base^shift (truncated) as a new array
+        var shiftDown=function(number, shift) {
+            return shift<number.length ? number.slice(shift) : [0];
+        };
+
+        // Helper function which returns the signed value x-y*z of number arrays as a {number, sign} pair
+        var multiplySubtract=function(x, y, z) {
+            return signedAdd({number: x.slice(), sign: 1}, {number: BigNumber._multiply(y, z), sign: -1});
+        };
+
+        /*
+         * Returns the reciprocal floor(base^2n/v) of a positive number array of n elements, by Newton's method
+         *
+         * The reciprocal x of the top h elements of v (h a little more than n/2), shifted up, approximates the reciprocal
+         * of v with a relative error of about base^-h. A Newton step, x + x*(base^2n - v*x)/base^2n, squares the error
+         * to about base^-2h, i.e. within a few units, which are corrected by adding or subtracting v from the remainder.
+         * The reciprocal of the top elements is calculated in the same way, so that the whole takes a few multiplications.
+         */
+        BigNumber._reciprocal = function(v) {
+            var n=v.length;
+            var power=shiftUp([1], 2*n);
+            if (n<=16) return BigNumber._knuthDivide(power, v)[0];
+
+            var h=Math.floor(n/2)+2;
+            var x=shiftUp(BigNumber._reciprocal(v.slice(n-h)), n-h);
+            var error=multiplySubtract(power, v, x);
+
+            // Only the top elements of x and of the error count towards the correction x*error/base^2n (to within a few units)
+            var correction=shiftDown(BigNumber._multiply(shiftDown(x, h-1), shiftDown(error.number, n-1)), n-h+2);
+            x=signedAdd({number: x, sign: 1}, {number: correction.slice(), sign: error.sign}).number;
+
+            // Correct the last few units, the remainder base^2n-v*x being the error less v*correction
+            var rest=signedAdd(error, {number: BigNumber._multiply(v, correction), sign: -error.sign});
+            while (rest.sign<0) {
+                x=BigNumber._subtract(x, [1]);
+                rest=signedAdd(rest, {number: v.slice(), sign: 1});
+            }
+            while (compare(rest.number, v)>=0) {
+                x=BigNumber._add(x, [1]);
+                rest.number=normalise(BigNumber._subtract(rest.number, v));
+            }
+            return normalise(x);
+        };
+
+        /*
+         * Divides two positive BigNumbers a/b by multiplying by the reciprocal of b (see _reciprocal), which may be given
+         * The numerator is divided n elements at a time from the top, n being the length of the divisor, each part
+         * (with the remainder so far above it) being less than b*base^n. The quotient of each part is estimated by
+         * multiplying its top n+1 elements by the reciprocal, which gives it to within a few units, corrected by
+         * subtracting b from the remainder
+         */
+        BigNumber._newtonDivide = function(a, b, reciprocal) {
+            var n=b.length;
+            reciprocal=reciprocal || BigNumber._reciprocal(b);
+            var quotient=[];
+            var rest=[0];
+            for (var index=0; index<a.length; index++) quotient.push(0);
+
+            for (index=Math.ceil(a.length/n)*n-n; index>=0; index-=n) {
+                var length=Math.min(n, a.length-index);
+                var part=normalise(BigNumber._add(shiftUp(rest, length), normalise(a.slice(index, index+length))));
+                var estimate=shiftDown(BigNumber._multiply(shiftDown(part, n-1), reciprocal), n+1);
+                rest=normalise(BigNumber._subtract(part, BigNumber._multiply(estimate, b)));
+                while (compare(rest, b)>=0) {
+                    estimate=BigNumber._add(estimate, [1]);
+                    rest=normalise(BigNumber._subtract(rest, b));
+                }
+                addShifted(quotient, estimate, index);
+            }
+            return [normalise(quotient), rest];
+        };
+
+        /*
+         * Division modes, i.e. how the quotient of a division is rounded to an integer (and so the sign of the remainder):
+         *      trunc     : towards zero, the remainder having the sign of the dividend (as native BigInt, the default)
+         *      floor     : towards -infinity, the remainder having the sign of the divisor (as Python)
+         *      ceil      : towards +infinity, the remainder having the opposite sign to the divisor
+         *      euclidean : so that the remainder is never negative
+         * In every mode dividend = quotient*divisor + remainder, the remainder being smaller than the divisor
+         */
+        var divisionModes=['trunc', 'floor', 'ceil', 'euclidean'];
+
+        // Helper function which rounds the truncated quotient of a division (result, with its remainder as result.rest)
+        // according to the division mode
+        var roundQuotient = function(result, divisor, mode) {
+            var rest = result.rest;
+            if (rest.isZero() || mode === 'trunc') return result;
+
+            // Rounding down adds the divisor to the remainder and rounding up subtracts it
+            var down = (mode === 'floor' && rest.sign !== divisor.sign) || (mode === 'euclidean' && rest.sign < 0 && divisor.sign > 0);
+            var up = (mode === 'ceil' && rest.sign === divisor.sign) || (mode === 'euclidean' && rest.sign < 0 && divisor.sign < 0);
+            if (down || up) {
+                var term = BigNumber(divisor);
+                if (up) term.sign = -term.sign;
+                signedAdd(result, BigNumber(up ? 1 : -1));
+                signedAdd(rest, term);
+            }
+            return result;
+        };
+
+        // this.number / number, the quotient being rounded according to the division mode (see divisionModes)
+        // The remainder of the division is left as a BigNumber on the rest property of the result (see also divmod)
+        BigNumber.prototype.divide = function(number, mode) {
+            var result = target(this);
+            if (typeof number === 'undefined') return result;
+            var bigNumber=number;
+            if (!(number instanceof BigNumber)) bigNumber = BigNumber(number);
+            var denominator=bigNumber.number;
+
+            // test if one of the numbers is zero
+            if (propagate(result, bigNumber)) return result;
+            if (typeof mode === 'undefined') mode = 'trunc';
+            if (divisionModes.indexOf(mode) < 0) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid division mode: ' + mode);
+            if (bigNumber.isZero()) return fail(result, BigNumberError.DIVISION_BY_ZERO);
+            if (result.isZero()) {
+                result.rest = BigNumber(0);
+                return result;
+            }
 
-        this.number = comparison<0 ? BigNumber._subtract(bigNumber.number, this.number) : BigNumber._subtract(this.number, bigNumber.number);
-        return this;
-    };
+            var sign = result.sign;
+            result.sign *= bigNumber.sign;
 
-    // adds two positive BigNumbers
-    BigNumber._add = function(a, b) {
-        for (var index = 0,remainder=0; index < b.length || remainder>0; index++) {
-            a[index]=remainder+(a[index] || 0)+(b[index] || 0);
-            remainder=Math.floor(a[index] / base);
-            a[index]%=base;
-        }
-        return a;
-    };
+            // Skip division by 1
 
-    // a - b
-    // a and b are 2 positive BigNumbers and a > b
-    BigNumber._subtract = function(a, b) {
-        for (var index = 0; index < b.length || a[index]<0; index++) {
-            if (index in b) a[index] -= b[index];
-            if (a[index] < 0) {
-                a[index] += base;
-                a[index+1]--;
+            if (denominator.length === 1 && denominator[0] === 1) {
+                result.rest = BigNumber(0);
+                return result;
             }
-        }
-        return clearLeadingZeros(a);
-    };
 
-    // this.number * number
-    BigNumber.prototype.multiply = function(number) {
-        if (typeof number === 'undefined') return this;
-
-        var bigNumber=number;
-        if (!(number instanceof BigNumber)) bigNumber = BigNumber(number);
-        if (this.isZero() || bigNumber.isZero()) return BigNumber(0);
-        this.sign *= bigNumber.sign;
-        var result = [];
-        // multiply the numbers
-        for (var index = 0; index < this.number.length; index++) {
-            for (var remainder = 0, givenNumberIndex = 0; givenNumberIndex < bigNumber.number.length || remainder > 0; givenNumberIndex++) {
-                result[index + givenNumberIndex] = (remainder += (result[index + givenNumberIndex] || 0) + this.number[index] * (bigNumber.number[givenNumberIndex] || 0)) % base;
-                remainder = Math.floor(remainder / base);
+            var division = BigNumber._divide(result.number, denominator);
+            result.number = division[0];
+            if (result.isZero()) result.sign = 1;
+            result.rest = BigNumber();
+            result.rest.number = division[1];
+            if (!result.rest.isZero()) result.rest.sign = sign;
+            return roundQuotient(result, bigNumber, mode);
+        };
+
+        // this.number % number, the remainder of the division in the given mode (see divisionModes)
+        BigNumber.prototype.mod = function(number, mode) {
+            var result = target(this);
+            if (typeof number === 'undefined') return result;
+            var division = BigNumber(result).divide(number, mode);
+            if (propagate(result, division)) return result;
+            result.number = division.rest.number;
+            result.sign = division.rest.sign;
+            return result;
+        };
+
+        // Division with its remainder: {quotient, remainder} as new BigNumbers such that this.number = quotient*number +
+        // remainder, the quotient being rounded according to the division mode (see divisionModes), leaving this.number
+        // unchanged
+        BigNumber.prototype.divmod = function(number, mode) {
+            var quotient = BigNumber(this).divide(number, mode);
+            return {quotient: quotient, remainder: quotient.error ? BigNumber(quotient) : BigNumber(quotient.rest)};
+        };
+
+        BigNumber.prototype.power = function(number) {
+            if (typeof number === 'undefined') return;
+            var result = target(this);
+            if (result.error) return result;
+
+            // Convert the argument to a number
+            number = Number(number);
+            if (!(number >= 0) || Math.floor(number) !== number) {
+                return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid power: ' + number);
+            }
+            if (number === 0) {
+                result.number = [1];
+                result.sign = 1;
+                return result;
+            }
+            if (number === 1) return result;
+
+            var power = result.number.slice();
+            var sign = number % 2 === 1 ? result.sign : 1;
+
+            result.number = [1];
+            while (number > 0) {
+                if (number % 2 === 1) {
+                    result.number = BigNumber._multiply(result.number, power);
+                    number--;
+                } else {
+                    power = BigNumber._multiply(power, power);
+                    number = Math.floor(number / 2);
+                }
+            }
+            result.sign = sign;
+            return result;
+        };
+
+        // |this.number|
+        BigNumber.prototype.abs = function() {
+            var result = target(this);
+            result.sign = 1;
+            return result;
+        };
+
+        // Check if this.number is equal to 0
+        BigNumber.prototype.isZero = function() {
+            var index;
+            if (this.error) return false;
+            for (index = 0; index < this.number.length; index++) {
+                if (this.number[index] !== 0) return false;
+            }
+            return true;
+        };
+
+        /*
+         * Bitwise operations
+         *
+         * These treat negative numbers as infinite two's complement, as native BigInt does: -x is ~(x-1), all of its bits
+         * above those of x-1 being ones. Shifts move whole elements and then the bits within them rather than multiplying
+         * or dividing by powers of 2.
+         *
+         * The bits are those of the binary elements of a number: its own elements when the base is a power of 2, and
+         * otherwise the number converted to base 2^25 (through base 32 digits, see toBinary), in which case shifts do
+         * multiply and divide by powers of 2.
+         */
+        var binaryBits = baseBits || 25;
+        var binaryBase = Math.pow(2, binaryBits);
+
+        // Helper function which returns the binary elements of the positive number array
+        var toBinary = function(number) {
+            if (baseBits) return number;
+            var digits = numberToDigits(number, radixInfo(32), 32), binary = [];
+            for (var end = digits.length; end > 0; end -= 5) {
+                binary.push(parseInt(digits.substring(Math.max(end - 5, 0), end), 32));
+            }
+            return normalise(binary);
+        };
+
+        // Helper function which returns the positive number array of the binary elements
+        var fromBinary = function(binary) {
+            if (baseBits) return binary;
+            var digits = [];
+            for (var index = binary.length - 1; index >= 0; index--) {
+                for (var bits = binaryBits - 5; bits >= 0; bits -= 5) digits.push(Math.floor(binary[index] / Math.pow(2, bits)) % 32);
+            }
+            return digitsToNumber(digits, 0, digits.length, radixInfo(32), 32);
+        };
+
+        // Helper function which returns 2^exponent as a number array (for a base that is not a power of 2)
+        var powerOfTwo = function(exponent) {
+            return BigNumber(2).power(exponent).number;
+        };
+
+        // Helper function which checks a shift or bit index is an integer (a native number)
+        var validIndex = function(index) {
+            return isFinite(index) && Math.floor(index) === index;
+        };
+
+        // Helper function which returns the number of bits of the positive binary elements (0 for 0)
+        var bitCount = function(number) {
+            for (var bits = (number.length - 1) * binaryBits, top = number[number.length - 1]; top > 0; bits++) {
+                top = Math.floor(top / 2);
+            }
+            return bits;
+        };
+
+        // Helper function which returns the two's complement form of a BigNumber: the binary elements of the number and
+        // the value of every element above them (0, or all ones for a negative number)
+        var complement = function(bigNumber) {
+            if (bigNumber.sign > 0 || bigNumber.isZero()) return {number: toBinary(bigNumber.number), fill: 0};
+            var number = toBinary(normalise(BigNumber._subtract(bigNumber.number.slice(), [1])));
+            for (var index = 0; index < number.length; index++) number[index] = binaryBase - 1 - number[index];
+            return {number: number, fill: binaryBase - 1};
+        };
+
+        // Helper function which applies the bitwise operation to the two's complement forms of result and bigNumber
+        var bitwise = function(result, bigNumber, operation) {
+            var x = complement(result), y = complement(bigNumber);
+            var number = [], fill = operation(x.fill, y.fill);
+            for (var index = 0; index < x.number.length || index < y.number.length; index++) {
+                number.push(operation(index < x.number.length ? x.number[index] : x.fill,
+                    index < y.number.length ? y.number[index] : y.fill));
+            }
+            if (fill) {
+                for (index = 0; index < number.length; index++) number[index] = binaryBase - 1 - number[index];
+            }
+            number = fromBinary(normalise(number));
+            result.number = normalise(fill ? BigNumber._add(number, [1]) : number);
+            result.sign = fill ? -1 : 1;
+            return result;
+        };
+
+        // Helper function which returns number*2^shift as a new array
+        var shiftBitsUp = function(number, shift) {
+            if (!baseBits) return BigNumber._multiply(number, powerOfTwo(shift));
+            var bits = shift % baseBits, factor = Math.pow(2, bits);
+            var result = shiftUp(number, (shift - bits) / baseBits);
+            if (!bits) return result;
+            for (var index = 0, carry = 0; index < result.length; index++) {
+                var value = result[index] * factor + carry;
+                carry = Math.floor(value / base);
+                result[index] = value - carry * base;
+            }
+            if (carry) result.push(carry);
+            return result;
+        };
+
+        // Helper function which returns number/2^shift (truncated) as a new array
+        var shiftBitsDown = function(number, shift) {
+            if (!baseBits) return BigNumber._divide(number, powerOfTwo(shift))[0];
+            var bits = shift % baseBits, factor = Math.pow(2, bits);
+            var result = shiftDown(number, (shift - bits) / baseBits);
+            if (!bits) return result;
+            for (var index = 0; index < result.length; index++) {
+                result[index] = Math.floor(result[index] / factor) +
+                    (index + 1 < result.length ? result[index + 1] % factor * (base / factor) : 0);
+            }
+            return normalise(result);
+        };
+
+        // Helper function which shifts result left by count bits (right if count is negative), rounding towards -infinity
+        var shift = function(result, count) {
+            if (result.error) return result;
+            if (!validIndex(count)) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid shift: ' + count);
+            if (count >= 0) {
+                result.number = shiftBitsUp(result.number, count);
+            } else if (result.sign > 0 || result.isZero()) {
+                result.number = shiftBitsDown(result.number, -count);
+            } else {
+                // -x>>n is ~((x-1)>>n), i.e. -(((x-1)>>n)+1)
+                var number = normalise(BigNumber._subtract(result.number.slice(), [1]));
+                result.number = BigNumber._add(shiftBitsDown(number, -count), [1]);
+            }
+            if (result.isZero()) result.sign = 1;
+            return result;
+        };
+
+        // this.number & number
+        BigNumber.prototype.and = function(number) {
+            var result = target(this);
+            var bigNumber = BigNumber(number);
+            if (propagate(result, bigNumber)) return result;
+            return bitwise(result, bigNumber, function(x, y) { return x & y; });
+        };
+
+        // this.number | number
+        BigNumber.prototype.or = function(number) {
+            var result = target(this);
+            var bigNumber = BigNumber(number);
+            if (propagate(result, bigNumber)) return result;
+            return bitwise(result, bigNumber, function(x, y) { return x | y; });
+        };
+
+        // this.number ^ number
+        BigNumber.prototype.xor = function(number) {
+            var result = target(this);
+            var bigNumber = BigNumber(number);
+            if (propagate(result, bigNumber)) return result;
+            return bitwise(result, bigNumber, function(x, y) { return x ^ y; });
+        };
+
+        // ~this.number, which is -this.number-1
+        BigNumber.prototype.not = function() {
+            var result = target(this);
+            if (result.error) return result;
+            result.sign = -result.sign;
+            return signedAdd(result, BigNumber(-1));
+        };
+
+        // this.number << count
+        BigNumber.prototype.shiftLeft = function(count) {
+            return shift(target(this), Number(count));
+        };
+
+        // this.number >> count (an arithmetic shift, rounding towards -infinity)
+        BigNumber.prototype.shiftRight = function(count) {
+            return shift(target(this), -Number(count));
+        };
+
+        // Check if bit index of this.number is set
+        BigNumber.prototype.testBit = function(index) {
+            index = Number(index);
+            if (!(index >= 0) || !validIndex(index)) {
+                throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Invalid bit index: ' + index);
+            }
+            if (this.error) return false;
+            var bits = complement(this), element = Math.floor(index / binaryBits);
+            var value = element < bits.number.length ? bits.number[element] : bits.fill;
+            return Math.floor(value / Math.pow(2, index % binaryBits)) % 2 === 1;
+        };
+
+        // Set bit index of this.number (or clear it if value is false)
+        BigNumber.prototype.setBit = function(index, value) {
+            var result = target(this);
+            if (result.error) return result;
+            index = Number(index);
+            if (!(index >= 0) || !validIndex(index)) {
+                return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid bit index: ' + index);
+            }
+            var mask = BigNumber();
+            mask.number = shiftBitsUp([1], index);
+            if (typeof value === 'undefined' || value) return bitwise(result, mask, function(x, y) { return x | y; });
+            return bitwise(result, mask, function(x, y) { return x & ~y; });
+        };
+
+        // The number of bits of this.number excluding the sign bit, i.e. the bits of this.number if it is positive and of
+        // ~this.number if it is negative (0 for 0 and -1)
+        BigNumber.prototype.bitLength = function() {
+            if (this.error) return NaN;
+            var number = this.sign < 0 && !this.isZero() ? normalise(BigNumber._subtract(this.number.slice(), [1])) : this.number;
+            return bitCount(toBinary(number));
+        };
+
+        /*
+         * Roots and logarithms
+         *
+         * Roots are found by Newton's method x = ((k-1)*x + n/x^(k-1))/k in integers: started above the root (at a power
+         * of 2 from the bit length), it decreases until it reaches the root rounded down, so it stops as soon as it does
+         * not. Logarithms are estimated from the bit length and then corrected with powers of the radix.
+         */
+
+        // Helper function which returns the k-th root of the positive number array, rounded down
+        var integerRoot = function(number, k) {
+            var bits = bitCount(toBinary(number));
+            if (bits <= k) return [bits ? 1 : 0];
+            var n = BigNumber(), x = BigNumber(), next;
+            n.number = number;
+            x.number = shiftBitsUp([1], Math.ceil(bits / k));
+            for (;;) {
+                next = BigNumber(n).divide(BigNumber(x).power(k - 1)).add(BigNumber(x).multiply(k - 1)).divide(k);
+                if (next.gte(x)) return x.number;
+                x = next;
+            }
+        };
+
+        // Helper function which returns floor(log(number)) in the radix for the positive number array
+        var integerLog = function(number, radix) {
+            var bits = bitCount(toBinary(number));
+            if (radix === 2) return bits - 1;
+
+            // 2^(bits-1) <= number, so that the estimate (lowered for rounding errors) is at most the logarithm
+            var log = Math.max(Math.floor((bits - 1) * Math.LN2 / Math.log(radix)) - 1, 0);
+            var value = BigNumber(), power = BigNumber(radix).power(log + 1);
+            value.number = number;
+            while (power.lte(value)) {
+                power = power.multiply(radix);
+                log++;
+            }
+            return log;
+        };
+
+        // The k-th root of this.number (k being a positive integer), rounded towards zero: an odd root of a negative
+        // number is negative and an even one fails
+        BigNumber.prototype.nthRoot = function(k) {
+            var result = target(this);
+            if (result.error) return result;
+            k = Number(k);
+            if (!(validIndex(k) && k >= 1)) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid root: ' + k);
+            if (result.sign < 0 && !result.isZero() && k % 2 === 0) return fail(result, BigNumberError.NEGATIVE_SQRT);
+            result.number = integerRoot(result.number, k);
+            return result;
+        };
+
+        // The square root of this.number, rounded down
+        BigNumber.prototype.sqrt = function() {
+            return this.nthRoot(2);
+        };
+
+        // Square root with its remainder: {root, remainder} as new BigNumbers such that this.number = root^2 + remainder,
+        // leaving this.number unchanged
+        BigNumber.prototype.sqrtRem = function() {
+            var root = BigNumber(this).sqrt();
+            if (root.error) return {root: root, remainder: BigNumber(root)};
+            return {root: root, remainder: BigNumber(this).subtract(BigNumber(root).multiply(root))};
+        };
+
+        // Check if this.number is the square of an integer
+        BigNumber.prototype.isPerfectSquare = function() {
+            if (this.error || this.sign < 0 && !this.isZero()) return false;
+
+            // Squares are 0, 1, 4 or 9 mod 16, which rules out three quarters of the numbers without a root
+            var rest = remainder(this.number, 16);
+            if (rest !== 0 && rest !== 1 && rest !== 4 && rest !== 9) return false;
+            return this.sqrtRem().remainder.isZero();
+        };
+
+        // Check if this.number is m^k for integers m and k >= 2 (0, 1 and -1 are, and a negative number only is for an
+        // odd k)
+        BigNumber.prototype.isPerfectPower = function() {
+            if (this.error) return false;
+            var bits = bitCount(toBinary(this.number));
+            if (bits <= 1) return true;
+
+            // m^k is (m^(k/p))^p for any prime p dividing k, so that prime powers (odd ones for a negative number) will
+            // do, up to 2^k <= this.number
+            for (var k = this.sign < 0 ? 3 : 2; k < bits; k++) {
+                if (!BigNumber(k).isProbablePrime()) continue;
+                var root = BigNumber();
+                root.number = integerRoot(this.number, k);
+                if (compare(root.power(k).number, this.number) === 0) return true;
+            }
+            return false;
+        };
+
+        // floor(log2(this.number)) as a native number, i.e. the index of its top bit (NaN unless this.number is positive)
+        BigNumber.prototype.ilog2 = function() {
+            if (this.error || this.sign < 0 || this.isZero()) return NaN;
+            return integerLog(this.number, 2);
+        };
+
+        // floor(log10(this.number)) as a native number (NaN unless this.number is positive)
+        BigNumber.prototype.ilog10 = function() {
+            if (this.error || this.sign < 0 || this.isZero()) return NaN;
+            return integerLog(this.number, 10);
+        };
+
+        // The number of digits of this.number in the radix (2 to 36, 10 by default), without its sign: the length of
+        // this.abs().toString(radix), without building the string (NaN if this.number is invalid)
+        BigNumber.prototype.digitCount = function(radix) {
+            if (this.error) return NaN;
+            if (typeof radix === 'undefined') radix=10;
+            else if (!validRadix(radix)) throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Invalid radix: ' + radix);
+            return this.isZero() ? 1 : integerLog(this.number, radix) + 1;
+        };
+
+        /*
+         * Modular arithmetic
+         *
+         * Reductions modulo m use Barrett reduction: with k the length of m and mu=floor(base^2k/m) (see _reciprocal),
+         * the quotient of x (below base^2k) by m is floor(floor(x/base^(k-1))*mu/base^(k+1)) to within a few units, so that
+         * reducing takes two multiplications instead of a division. A context holding m and mu may be kept to reduce
+         * modulo the same number repeatedly (see BigNumber.Barrett).
+         */
+
+        // Helper function which returns the Barrett context of the positive modulus: the modulus and its reciprocal
+        var barrettContext = function(modulus) {
+            return {modulus: modulus, reciprocal: modulus.length > 1 ? BigNumber._reciprocal(modulus) : null};
+        };
+
+        // Helper function which returns the error code of an invalid modulus (or null if it is valid)
+        var modulusError = function(modulus) {
+            if (modulus.isZero()) return BigNumberError.DIVISION_BY_ZERO;
+            return modulus.sign < 0 ? BigNumberError.INVALID_ARGUMENT : null;
+        };
+
+        // Helper function which returns the positive x mod the modulus of the context as a new array
+        var barrettReduce = function(context, x) {
+            var modulus = context.modulus, k = modulus.length;
+            if (compare(x, modulus) < 0) return x.slice();
+            if (k == 1) return [BigNumber._simpledivide(x.slice(), modulus[0])];
+            if (x.length > 2 * k) return BigNumber._divide(x, modulus)[1];
+
+            var estimate = shiftDown(BigNumber._multiply(shiftDown(x, k - 1), context.reciprocal), k + 1);
+            var rest = normalise(BigNumber._subtract(x.slice(), BigNumber._multiply(estimate, modulus)));
+            while (compare(rest, modulus) >= 0) rest = normalise(BigNumber._subtract(rest, modulus));
+            return rest;
+        };
+
+        // Helper function which returns the signed bigNumber (or {number, sign} pair) mod the modulus of the context,
+        // from 0 to the modulus less 1, as a new array
+        var residue = function(context, bigNumber) {
+            var rest = barrettReduce(context, bigNumber.number);
+            if (bigNumber.sign > 0 || (rest.length == 1 && !rest[0])) return rest;
+            return normalise(BigNumber._subtract(context.modulus.slice(), rest));
+        };
+
+        // Helper function which returns the value of count bits of the positive binary elements from the bit at position
+        var bitsAt = function(number, position, count) {
+            for (var value = 0, index = position + count - 1; index >= position; index--) {
+                var element = Math.floor(index / binaryBits);
+                value = value * 2 + (element < number.length ? Math.floor(number[element] / Math.pow(2, index % binaryBits)) % 2 : 0);
+            }
+            return value;
+        };
+
+        // Helper function which returns x^exponent mod the modulus of the context as a new array (x reduced, the exponent
+        // positive), squaring for every bit of the exponent and multiplying for every window of bits by a power from a table
+        var barrettPower = function(context, x, exponent) {
+            exponent = toBinary(exponent);
+            var bits = bitCount(exponent);
+            var window = bits > 512 ? 5 : (bits > 64 ? 4 : 1);
+
+            var powers = [barrettReduce(context, [1]), x];
+            while (powers.length < Math.pow(2, window)) {
+                powers.push(barrettReduce(context, BigNumber._multiply(powers[powers.length - 1], x)));
             }
-        }
-        this.number = result;
-        return this;
-    };
 
-    // Very simply multiplication with carry assuming b, the multicand is a native number<=base and a is a BigNumber and all positive
-    BigNumber._simplemultiply=function(a,b) {
-        var remainder=0;
-        for (var index = 0; index < a.length; index++) {
-            var temp=remainder + a[index] * b;
-            a[index] = temp % base;
-            remainder = Math.floor(temp / base);
+            var result = powers[0];
+            for (var position = Math.ceil(bits / window) * window - window; position >= 0; position -= window) {
+                for (var index = 0; index < window && position + window < bits; index++) {
+                    result = barrettReduce(context, BigNumber._square(result));
+                }
+                var value = bitsAt(exponent, position, window);
+                if (value) result = barrettReduce(context, BigNumber._multiply(result, powers[value]));
+            }
+            return result;
+        };
+
+        // Helper function which returns the gcd of the positive a and b (as an array) and, if coefficients is set,
+        // the {number, sign} pairs x and y such that a*x+b*y is the gcd: the extended Euclidean algorithm
+        var euclid = function(a, b, coefficients) {
+            var x = {number: [1], sign: 1}, nextX = {number: [0], sign: 1};
+            var y = {number: [0], sign: 1}, nextY = {number: [1], sign: 1};
+            while (b.length > 1 || b[0]) {
+                var division = BigNumber._divide(a, b);
+                a = b;
+                b = division[1];
+                if (coefficients) {
+                    var z = signedAdd(x, {number: BigNumber._multiply(division[0], nextX.number), sign: -nextX.sign});
+                    x = nextX;
+                    nextX = z;
+                    z = signedAdd(y, {number: BigNumber._multiply(division[0], nextY.number), sign: -nextY.sign});
+                    y = nextY;
+                    nextY = z;
+                }
+            }
+            return {gcd: a.slice(), x: x, y: y};
+        };
+
+        // Helper function which returns the inverse of x mod the modulus of the context as a new array (x reduced),
+        // or null if x and the modulus are not coprime
+        var inverse = function(context, x) {
+            var euclidean = euclid(x, context.modulus, true);
+            if (euclidean.gcd.length > 1 || euclidean.gcd[0] !== 1) return null;
+            return residue(context, euclidean.x);
+        };
+
+        // Helper function which sets result to x^power mod the modulus of the context (x and power being BigNumbers)
+        var modularPower = function(result, context, x, power) {
+            var number = residue(context, x);
+            if (power.sign < 0 && !power.isZero()) {
+                number = inverse(context, number);
+                if (!number) return fail(result, BigNumberError.NOT_INVERTIBLE);
+            }
+            result.number = barrettPower(context, number, power.number);
+            result.sign = 1;
+            return result;
+        };
+
+        // this.number^exponent mod number, reducing at every step (a negative exponent being a power of the inverse)
+        BigNumber.prototype.modPow = function(exponent, number) {
+            var result = target(this);
+            var power = BigNumber(exponent), modulus = BigNumber(number);
+            if (propagate(result, power) || propagate(result, modulus)) return result;
+            var code = modulusError(modulus);
+            if (code) return fail(result, code, 'Invalid modulus: ' + modulus);
+            return modularPower(result, barrettContext(modulus.number), result, power);
+        };
+
+        // The inverse of this.number mod number: x from 0 to number-1 such that this.number*x mod number is 1
+        BigNumber.prototype.modInverse = function(number) {
+            var result = target(this);
+            var modulus = BigNumber(number);
+            if (propagate(result, modulus)) return result;
+            var code = modulusError(modulus);
+            if (code) return fail(result, code, 'Invalid modulus: ' + modulus);
+
+            var context = barrettContext(modulus.number);
+            var x = inverse(context, residue(context, result));
+            if (!x) return fail(result, BigNumberError.NOT_INVERTIBLE);
+            result.number = x;
+            result.sign = 1;
+            return result;
+        };
+
+        // Greatest common divisor of this.number and number (positive, or 0 if both are 0)
+        BigNumber.prototype.gcd = function(number) {
+            var result = target(this);
+            var bigNumber = BigNumber(number);
+            if (propagate(result, bigNumber)) return result;
+            result.number = euclid(result.number, bigNumber.number).gcd;
+            result.sign = 1;
+            return result;
+        };
+
+        // Least common multiple of this.number and number (positive, or 0 if either is 0)
+        BigNumber.prototype.lcm = function(number) {
+            var result = target(this);
+            var bigNumber = BigNumber(number);
+            if (propagate(result, bigNumber)) return result;
+            result.sign = 1;
+            if (result.isZero() || bigNumber.isZero()) {
+                result.number = [0];
+                return result;
+            }
+            var gcd = euclid(result.number, bigNumber.number).gcd;
+            result.number = BigNumber._multiply(BigNumber._divide(result.number, gcd)[0], bigNumber.number);
+            return result;
+        };
+
+        // Extended gcd of this.number and number: {gcd, x, y} such that this.number*x+number*y = gcd (the Bezout
+        // coefficients), leaving this.number unchanged
+        BigNumber.prototype.egcd = function(number) {
+            var gcd = BigNumber(this), x = BigNumber(), y = BigNumber();
+            var bigNumber = BigNumber(number);
+            if (propagate(gcd, bigNumber)) return {gcd: gcd, x: BigNumber(gcd), y: BigNumber(gcd)};
+
+            var euclidean = euclid(this.number, bigNumber.number, true);
+            gcd.number = euclidean.gcd;
+            gcd.sign = 1;
+            x.number = euclidean.x.number;
+            x.sign = x.isZero() ? 1 : euclidean.x.sign * this.sign;
+            y.number = euclidean.y.number;
+            y.sign = y.isZero() ? 1 : euclidean.y.sign * bigNumber.sign;
+            return {gcd: gcd, x: x, y: y};
+        };
+
+        /*
+         * Constructor function which creates a reusable context for arithmetic modulo number (positive) by Barrett
+         * reduction, e.g. var context = BigNumber.Barrett(m); context.power(x, e);
+         * The operations return new BigNumbers from 0 to number-1 and leave their operands unchanged
+         */
+        function Barrett(number) {
+            if (!(this instanceof Barrett)) return new Barrett(number);
+            var modulus = BigNumber(number);
+            var code = modulus.error ? modulus.error.code : modulusError(modulus);
+            if (code) throw new BigNumberError(code, 'Invalid modulus: ' + number);
+            this.modulus = modulus;
+            this.context = barrettContext(modulus.number);
         }
-        if (remainder) a.push(remainder);
-        return a;
-    };
 
-    // this.number / number
-    BigNumber.prototype.divide = function(number) {
-        if (typeof number === 'undefined') return this;
-        var bigNumber=number;
-        if (!(number instanceof BigNumber)) bigNumber = BigNumber(number);
-        var denominator=bigNumber.number;
-
-        // test if one of the numbers is zero
-        if (bigNumber.isZero()) {
-            this.number = errors['division by zero'];
-            return this;
-        }
-        if (this.isZero()) return this;
+        // number mod the modulus
+        Barrett.prototype.reduce = function(number) {
+            var result = BigNumber(number);
+            if (result.error) return result;
+            result.number = residue(this.context, result);
+            result.sign = 1;
+            return result;
+        };
+
+        // a*b mod the modulus
+        Barrett.prototype.multiply = function(a, b) {
+            var result = this.reduce(a), bigNumber = this.reduce(b);
+            if (propagate(result, bigNumber)) return result;
+            result.number = barrettReduce(this.context, BigNumber._multiply(result.number, bigNumber.number));
+            return result;
+        };
+
+        // a^2 mod the modulus
+        Barrett.prototype.square = function(a) {
+            var result = this.reduce(a);
+            if (result.error) return result;
+            result.number = barrettReduce(this.context, BigNumber._square(result.number));
+            return result;
+        };
+
+        // a^exponent mod the modulus
+        Barrett.prototype.power = function(a, exponent) {
+            var result = BigNumber(a), power = BigNumber(exponent);
+            if (propagate(result, power)) return result;
+            return modularPower(result, this.context, result, power);
+        };
+
+        /*
+         * Random numbers
+         *
+         * Random numbers are uniform: a number below n is made of random bits, as many as n-1 has, and drawn again if it is
+         * not below n (which happens less than half the time). The bits come from the prng if one is given (a function
+         * returning numbers from 0 to 1, like Math.random, e.g. a seeded generator for reproducible numbers) and otherwise
+         * from a cryptographically secure source: crypto.getRandomValues, or crypto.randomBytes in Node.
+         */
+
+        // Helper function which returns count random 32 bit unsigned integers
+        var randomWords = function(count, prng) {
+            var words = [], index;
+            if (prng) {
+                for (index = 0; index < count; index++) words.push(Math.floor(prng() * 4294967296));
+                return words;
+            }
+            if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+                // getRandomValues fills at most 65536 bytes at a time
+                words = new Uint32Array(count);
+                for (index = 0; index < count; index += 16384) crypto.getRandomValues(words.subarray(index, index + 16384));
+                return words;
+            }
+            try {
+                var bytes = require('crypto').randomBytes(4 * count);
+                for (index = 0; index < count; index++) words.push(bytes.readUInt32LE(4 * index));
+                return words;
+            } catch (error) {
+                throw new BigNumberError(BigNumberError.NO_RANDOM_SOURCE);
+            }
+        };
 
-        this.sign *= bigNumber.sign;
+        // Helper function which returns a random number array of the given number of bits (the top one possibly 0)
+        var randomBits = function(bits, prng) {
+            var words = randomWords(Math.ceil(bits / binaryBits), prng), number = [];
+            for (var index = 0; bits > 0; index++, bits -= binaryBits) {
+                number.push(Math.floor(words[index] / Math.pow(2, 32 - Math.min(bits, binaryBits))));
+            }
+            return fromBinary(normalise(number));
+        };
+
+        // Helper function which returns a random number array from 0 to limit-1 (limit being positive)
+        var randomBelow = function(limit, prng) {
+            var bits = bitCount(toBinary(normalise(BigNumber._subtract(limit.slice(), [1]))));
+            do {
+                var number = randomBits(bits, prng);
+            } while (compare(number, limit) >= 0);
+            return number;
+        };
+
+        // Helper function which checks a number of bits or digits is a (native) integer of at least 0
+        var validCount = function(count) {
+            return validIndex(count) && count >= 0;
+        };
+
+        /*
+         * Creates a uniform random number, given by options as one of:
+         *      bits      : from 0 to 2^bits-1
+         *      digits    : from 0 to 10^digits-1
+         *      min, max  : from min to max (inclusive)
+         * and optionally prng, a function returning numbers from 0 to 1 to use instead of the secure source
+         * e.g. BigNumber.random({bits: 128}), BigNumber.random({min: 1, max: '1e30', prng: seeded})
+         */
+        BigNumber.random = function(options) {
+            var result = BigNumber();
+            options = options || {};
+            var prng = options.prng, min, max;
+            if (prng && typeof prng != 'function') return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid prng');
+
+            if (typeof options.bits != 'undefined') {
+                if (!validCount(options.bits)) {
+                    return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid number of bits: ' + options.bits);
+                }
+                result.number = randomBits(options.bits, prng);
+                return result;
+            }
+            if (typeof options.digits != 'undefined') {
+                if (!validCount(options.digits)) {
+                    return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid number of digits: ' + options.digits);
+                }
+                min = BigNumber(0);
+                max = BigNumber(10).pow(options.digits).subtract(1);
+            } else {
+                if (typeof options.min == 'undefined' || typeof options.max == 'undefined') {
+                    return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid options: bits, digits or min and max expected');
+                }
+                min = BigNumber(options.min);
+                max = BigNumber(options.max);
+                if (propagate(result, min) || propagate(result, max)) return result;
+                if (min.gt(max)) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid range: ' + min + ' to ' + max);
+            }
+            result.number = randomBelow(BigNumber(max).subtract(min).add(1).number, prng);
+            return result.add(min);
+        };
+
+        /*
+         * Primality
+         *
+         * Numbers are first divided by the primes below smallPrimeLimit, then tested by Miller-Rabin: n-1 being d*2^s with
+         * d odd, n is a strong probable prime to the base a if a^d mod n is 1 or a^(d*2^r) mod n is n-1 for some r<s.
+         * Below 3.3*10^24 (so for all numbers below 2^64) the first 13 primes as bases give a deterministic result;
+         * above it random bases are used, each letting through a composite with a probability below 1/4.
+         */
+        var smallPrimeLimit=1000;
+        var smallPrimes=null;
+        var deterministicBases=[2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41];
+        var deterministicLimit=BigNumber('3317044064679887385961981');
+        var primeRounds=20;
+
+        // Helper function which returns the primes below limit (by the sieve of Eratosthenes)
+        var primesBelow = function(limit) {
+            var composite = typeof Uint8Array === 'function' ? new Uint8Array(limit) : [], primes = [];
+            for (var number = 2; number < limit; number++) {
+                if (composite[number]) continue;
+                primes.push(number);
+                for (var multiple = number * number; multiple < limit; multiple += number) composite[multiple] = 1;
+            }
+            return primes;
+        };
+
+        // Helper function which returns the primes below smallPrimeLimit
+        var getSmallPrimes = function() {
+            if (!smallPrimes) smallPrimes = primesBelow(smallPrimeLimit);
+            return smallPrimes;
+        };
+
+        // Helper function which returns the positive number mod the native divisor, leaving the number unchanged
+        var remainder = function(number, divisor) {
+            for (var index = number.length - 1, rest = 0; index >= 0; index--) rest = (rest * base + number[index]) % divisor;
+            return rest;
+        };
+
+        // Helper function which checks whether the positive odd number (above smallPrimeLimit) is a probable prime,
+        // by Miller-Rabin with the given number of random bases (or the deterministic bases below deterministicLimit)
+        var millerRabin = function(number, rounds) {
+            var context = barrettContext(number);
+            var minusOne = BigNumber._subtract(number.slice(), [1]);
+
+            // n-1 = d*2^shift
+            for (var shift = 0, binary = toBinary(minusOne); !bitsAt(binary, shift, 1); shift++);
+            var d = shiftBitsDown(minusOne, shift);
+
+            var bases = deterministicBases;
+            if (compare(number, deterministicLimit.number) >= 0) {
+                // 2 and random bases from 2 to n-2
+                var limit = BigNumber._subtract(number.slice(), BigNumber(3).number);
+                bases = [2];
+                while (bases.length < rounds) bases.push(BigNumber._add(randomBelow(limit), [2]));
+            }
 
-        // Skip division by 1
+            for (var index = 0; index < bases.length; index++) {
+                var x = barrettPower(context, typeof bases[index] == 'number' ? BigNumber(bases[index]).number : bases[index], d);
+                if ((x.length == 1 && x[0] === 1) || compare(x, minusOne) === 0) continue;
+                for (var round = 1; round < shift; round++) {
+                    x = barrettReduce(context, BigNumber._square(x));
+                    if (compare(x, minusOne) === 0 || (x.length == 1 && x[0] === 1)) break;
+                }
+                if (compare(x, minusOne) !== 0) return false;
+            }
+            return true;
+        };
+
+        // Check if this.number is a prime: certainly below 2^64 (more precisely 3.3*10^24), and otherwise with a probability
+        // of error below 4^-rounds (by default 20 rounds of Miller-Rabin)
+        BigNumber.prototype.isProbablePrime = function(rounds) {
+            if (this.error || this.sign < 0) return false;
+            var number = this.number, primes = getSmallPrimes();
+            if (compare(number, BigNumber(smallPrimeLimit).number) < 0) return primes.indexOf(remainder(number, smallPrimeLimit)) >= 0;
+            for (var index = 0; index < primes.length; index++) {
+                if (!remainder(number, primes[index])) return false;
+            }
+            return millerRabin(number, typeof rounds == 'number' && rounds > 0 ? rounds : primeRounds);
+        };
+
+        // The smallest prime above this.number
+        BigNumber.prototype.nextPrime = function() {
+            var result = target(this);
+            if (result.error) return result;
+            var two = BigNumber(2).number;
+            if (result.sign < 0 || compare(result.number, two) < 0) {
+                result.number = two;
+                result.sign = 1;
+                return result;
+            }
+            result.number = BigNumber._add(result.number, [remainder(result.number, 2) ? 2 : 1]);
+            while (!result.isProbablePrime()) result.number = BigNumber._add(result.number, [2]);
+            return result;
+        };
+
+        // Creates a random (probable) prime of the given number of bits (at least 2), its top bit being set, the
+        // candidates being odd except for 2 bits (2 or 3)
+        // The random bits come from options.prng if given (see BigNumber.random)
+        BigNumber.randomPrime = function(bits, options) {
+            var prng = options && options.prng;
+            var result = BigNumber();
+            if (typeof bits != 'number' || !(bits >= 2) || Math.floor(bits) !== bits) {
+                return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid number of bits: ' + bits);
+            }
+            do {
+                result.number = BigNumber._add(randomBits(bits - 1, prng), shiftBitsUp([1], bits - 1));
+                if (bits > 2 && !remainder(result.number, 2)) result.number = BigNumber._add(result.number, [1]);
+            } while (!result.isProbablePrime());
+            return result;
+        };
+
+        /*
+         * Combinatorics
+         *
+         * Products of many factors are split in halves, multiplied separately and then together, so that the large
+         * multiplications are of numbers of similar sizes (which Karatsuba and Toom-3 multiply fastest). A binomial
+         * coefficient is the product of its prime factors (a prime p divides C(n, k) as many times as there are carries
+         * when adding k and n-k in base p), which avoids the huge n!/(n-k)! of the usual formula.
+         */
+        var binomialThreshold=32;
+        var sieveLimit=Math.pow(2, 24);
+
+        // Helper function which returns the product of the number arrays from start to end (excluded)
+        var product = function(numbers, start, end) {
+            if (end - start === 1) return numbers[start];
+            if (end <= start) return [1];
+            var middle = Math.floor((start + end) / 2);
+            return BigNumber._multiply(product(numbers, start, middle), product(numbers, middle, end));
+        };
+
+        // Helper function which returns the product of the integers from low to high (natives, both included)
+        var rangeProduct = function(low, high) {
+            if (high - low < 16) {
+                for (var result = [1]; low <= high; low++) {
+                    result = low <= 33554432 ? BigNumber._simplemultiply(result, low) : BigNumber._multiply(result, BigNumber(low).number);
+                }
+                return result;
+            }
+            var middle = Math.floor((low + high) / 2);
+            return BigNumber._multiply(rangeProduct(low, middle), rangeProduct(middle + 1, high));
+        };
+
+        // Helper function which checks an argument is a natural number (a safe integer from 0), returning it as a
+        // native number or NaN
+        var natural = function(value) {
+            value = Number(value);
+            return value >= 0 && value <= 9007199254740991 && Math.floor(value) === value ? value : NaN;
+        };
+
+        // Helper function which returns the number of times the prime p divides C(n, k), by Legendre's formula
+        var binomialExponent = function(n, k, p) {
+            for (var exponent = 0, power = p; power <= n; power *= p) {
+                exponent += Math.floor(n / power) - Math.floor(k / power) - Math.floor((n - k) / power);
+            }
+            return exponent;
+        };
+
+        // Helper function which returns C(n, k) as a number array for natives 0 <= k <= n
+        var binomial = function(n, k) {
+            k = Math.min(k, n - k);
+
+            // Few factors (or too many primes to sieve) are multiplied and divided one after another, each partial
+            // result C(n-k+i, i) being an integer
+            if (k < binomialThreshold || n >= sieveLimit) {
+                var result = BigNumber(1);
+                for (var index = 1; index <= k; index++) result = result.multiply(n - k + index).divide(index);
+                return result.number;
+            }
+            var powers = [];
+            primesBelow(n + 1).forEach(function(prime) {
+                var exponent = binomialExponent(n, k, prime);
+                if (exponent) powers.push(BigNumber(prime).power(exponent).number);
+            });
+            return product(powers, 0, powers.length);
+        };
+
+        // Helper function which returns [F(n), F(n+1)] as BigNumbers for a native n >= 0, by fast doubling from the top
+        // bit of n: F(2i) = F(i)*(2*F(i+1) - F(i)) and F(2i+1) = F(i)^2 + F(i+1)^2
+        var fibonacciPair = function(n) {
+            var a = BigNumber(0), b = BigNumber(1), bits = n.toString(2);
+            for (var index = 0; index < bits.length; index++) {
+                var even = BigNumber(b).multiply(2).subtract(a).multiply(a);
+                var odd = BigNumber(a).power(2).add(BigNumber(b).power(2));
+                if (bits.charAt(index) === '1') {
+                    a = odd;
+                    b = even.add(odd);
+                } else {
+                    a = even;
+                    b = odd;
+                }
+            }
+            return [a, b];
+        };
+
+        // n! for a natural number n (a native number, or anything Number() reads as one)
+        BigNumber.factorial = function(n) {
+            var result = BigNumber();
+            var value = natural(n);
+            if (isNaN(value)) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid factorial: ' + n);
+            result.number = value < 2 ? [1] : rangeProduct(2, value);
+            return result;
+        };
+
+        // The binomial coefficient C(n, k), the number of ways to choose k items out of n (0 if k > n), for natural
+        // numbers n and k
+        BigNumber.binomial = function(n, k) {
+            var result = BigNumber();
+            var nValue = natural(n), kValue = natural(k);
+            if (isNaN(nValue) || isNaN(kValue)) {
+                return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid binomial: C(' + n + ', ' + k + ')');
+            }
+            result.number = kValue > nValue ? [0] : binomial(nValue, kValue);
+            return result;
+        };
+
+        // The multinomial coefficient (k1+k2+...)!/(k1!*k2!*...) of an array of natural numbers, the number of ways to
+        // split k1+k2+... items into groups of k1, k2... items: the product of the binomials C(k1+...+ki, ki)
+        BigNumber.multinomial = function(counts) {
+            var result = BigNumber(), total = 0, factors = [];
+            if (!isArray(counts)) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid multinomial: ' + counts);
+            for (var index = 0; index < counts.length; index++) {
+                var count = natural(counts[index]);
+                total += count;
+                if (isNaN(count) || total > 9007199254740991) {
+                    return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid multinomial: ' + counts.join(', '));
+                }
+                factors.push(binomial(total, count));
+            }
+            result.number = product(factors, 0, factors.length);
+            return result;
+        };
+
+        // The Fibonacci number F(n) for an integer n (F(0) = 0, F(1) = 1, and F(-n) = (-1)^(n+1)*F(n))
+        BigNumber.fibonacci = function(n) {
+            var value = Number(n);
+            if (!(validIndex(value) && Math.abs(value) <= 9007199254740991)) {
+                return fail(BigNumber(), BigNumberError.INVALID_ARGUMENT, 'Invalid index: ' + n);
+            }
+            var result = fibonacciPair(Math.abs(value))[0];
+            if (value < 0 && value % 2 === 0) result.sign = -result.sign;
+            return result;
+        };
+
+        // The Lucas number L(n) for an integer n (L(0) = 2, L(1) = 1, and L(-n) = (-1)^n*L(n)): 2*F(n+1) - F(n)
+        BigNumber.lucas = function(n) {
+            var value = Number(n);
+            if (!(validIndex(value) && Math.abs(value) <= 9007199254740991)) {
+                return fail(BigNumber(), BigNumberError.INVALID_ARGUMENT, 'Invalid index: ' + n);
+            }
+            var pair = fibonacciPair(Math.abs(value));
+            var result = pair[1].multiply(2).subtract(pair[0]);
+            if (value < 0 && value % 2 !== 0) result.sign = -result.sign;
+            return result;
+        };
+
+        /*
+         * Number theory
+         *
+         * The Jacobi symbol (a/n) is found like a gcd, by quadratic reciprocity: (a/n) = (n/a) unless a and n are both 3
+         * mod 4, and (2/n) = -1 for n 3 or 5 mod 8. Square roots modulo a prime p are found by Tonelli-Shanks: with p-1 =
+         * q*2^s (q odd), r = a^((q+1)/2) is a root of a*t for t = a^q, whose order (a power of 2) is brought down to 1 by
+         * multiplying by powers of c = z^q, z being a non-square.
+         */
+
+        // Helper function which returns the Jacobi symbol (a/n) of the positive number arrays a and n (n odd): 0 if they
+        // have a common factor, else 1 or -1
+        var jacobiSymbol = function(a, n) {
+            var symbol = 1, twos, binary, swap;
+            if (compare(a, n) >= 0) a = BigNumber._divide(a, n)[1];
+            while (a.length > 1 || a[0]) {
+                for (twos = 0, binary = toBinary(a); !bitsAt(binary, twos, 1); twos++);
+                a = shiftBitsDown(a, twos);
+                if (twos % 2 && (remainder(n, 8) === 3 || remainder(n, 8) === 5)) symbol = -symbol;
+                if (remainder(a, 4) === 3 && remainder(n, 4) === 3) symbol = -symbol;
+                swap = a;
+                a = BigNumber._divide(n, a)[1];
+                n = swap;
+            }
+            return n.length == 1 && n[0] === 1 ? symbol : 0;
+        };
+
+        // Helper function which returns the smaller square root of a (reduced) modulo the prime modulus of the context as
+        // a new array, or null if a is not a square
+        var squareRoot = function(context, a) {
+            var p = context.modulus;
+            if (compare(p, BigNumber(2).number) === 0 || (a.length == 1 && !a[0])) return a.slice();
+            if (jacobiSymbol(a, p) !== 1) return null;
+
+            var minusOne = BigNumber._subtract(p.slice(), [1]);
+            for (var s = 0, binary = toBinary(minusOne); !bitsAt(binary, s, 1); s++);
+            var q = shiftBitsDown(minusOne, s);
+            for (var z = 2; jacobiSymbol(BigNumber(z).number, p) !== -1; z++);
+
+            var c = barrettPower(context, BigNumber(z).number, q);
+            var t = barrettPower(context, a, q);
+            var r = barrettPower(context, a, shiftBitsDown(BigNumber._add(q.slice(), [1]), 1));
+            while (t.length > 1 || t[0] !== 1) {
+                // The order of t is 2^i, below 2^s
+                for (var i = 1, square = barrettReduce(context, BigNumber._square(t)); square.length > 1 || square[0] !== 1; i++) {
+                    square = barrettReduce(context, BigNumber._square(square));
+                }
+                var b = c;
+                for (var index = i + 1; index < s; index++) b = barrettReduce(context, BigNumber._square(b));
+                s = i;
+                c = barrettReduce(context, BigNumber._square(b));
+                t = barrettReduce(context, BigNumber._multiply(t, c));
+                r = barrettReduce(context, BigNumber._multiply(r, b));
+            }
+            var other = normalise(BigNumber._subtract(p.slice(), r));
+            return compare(other, r) < 0 ? other : r;
+        };
+
+        // Helper function which reads a factorisation, an array of {prime, exponent}, into the primes as BigNumbers and
+        // the exponents as native numbers, or returns null if it is invalid
+        var factorisation = function(factors) {
+            if (!isArray(factors)) return null;
+            var pairs = [];
+            for (var index = 0; index < factors.length; index++) {
+                var factor = factors[index] || {};
+                var prime = BigNumber(factor.prime), exponent = natural(factor.exponent);
+                if (prime.error || prime.lt(2) || isNaN(exponent)) return null;
+                if (exponent) pairs.push({prime: prime, exponent: exponent});
+            }
+            return pairs;
+        };
+
+        // The Jacobi symbol (this.number/n) for an odd positive n: 0 if they have a common factor, else 1 or -1 (-1 if
+        // this.number is not a square modulo n). NaN if either number is invalid
+        BigNumber.prototype.jacobi = function(n) {
+            var modulus = BigNumber(n);
+            if (this.error || modulus.error) return NaN;
+            if (modulus.sign < 0 || !remainder(modulus.number, 2)) {
+                throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Invalid modulus: ' + modulus);
+            }
+            return jacobiSymbol(residue(barrettContext(modulus.number), this), modulus.number);
+        };
+
+        // The Legendre symbol (this.number/p) for an odd prime p (which is not checked): 0 if p divides this.number, 1 if
+        // this.number is a square modulo p and -1 if it is not
+        BigNumber.prototype.legendre = function(p) {
+            return this.jacobi(p);
+        };
+
+        // The square root of this.number modulo the prime p: x from 0 to (p-1)/2 such that x^2 mod p is this.number mod p
+        // (the other root being p-x), failing with NO_SOLUTION if this.number is not a square modulo p
+        BigNumber.prototype.modSqrt = function(p) {
+            var result = target(this);
+            var modulus = BigNumber(p);
+            if (propagate(result, modulus)) return result;
+            if (modulus.sign < 0 || !modulus.isProbablePrime()) {
+                return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid prime modulus: ' + modulus);
+            }
+            var context = barrettContext(modulus.number);
+            var root = squareRoot(context, residue(context, result));
+            if (!root) return fail(result, BigNumberError.NO_SOLUTION, result + ' is not a square modulo ' + modulus);
+            result.number = root;
+            result.sign = 1;
+            return result;
+        };
+
+        // The solution of the congruences x = residues[i] mod moduli[i] (the moduli being positive), from 0 to the lcm of
+        // the moduli less 1 (Chinese remainder theorem). Moduli which are not coprime must agree on their common factors,
+        // else it fails with NO_SOLUTION
+        BigNumber.crt = function(residues, moduli) {
+            var result = BigNumber(), modulus = BigNumber(1);
+            if (!isArray(residues) || !isArray(moduli) || residues.length !== moduli.length) {
+                return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid congruences: ' + residues + ' mod ' + moduli);
+            }
+            for (var index = 0; index < moduli.length; index++) {
+                var rest = BigNumber(residues[index]), next = BigNumber(moduli[index]);
+                if (propagate(result, rest) || propagate(result, next)) return result;
+                if (next.sign < 0 || next.isZero()) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid modulus: ' + next);
+
+                // x = result + modulus*k solves both congruences for modulus*k = rest - result mod next, i.e. for
+                // k = (rest - result)/g * (modulus/g)^-1 mod next/g, g being the gcd of the moduli (which must divide
+                // rest - result)
+                var gcd = BigNumber(modulus).gcd(next);
+                var difference = BigNumber(rest).subtract(result).divmod(gcd);
+                if (!difference.remainder.isZero()) {
+                    return fail(result, BigNumberError.NO_SOLUTION, 'No solution to the congruences mod ' + moduli.slice(0, index + 1));
+                }
+                var step = BigNumber(next).divide(gcd);
+                var k = BigNumber(modulus).divide(gcd).modInverse(step).multiply(difference.quotient).mod(step, 'euclidean');
+                result = result.add(BigNumber(modulus).multiply(k));
+                modulus = modulus.multiply(step);
+            }
+            return result;
+        };
+
+        // Euler's totient of the number with the given factorisation (an array of {prime, exponent}, as given by
+        // factorize, the primes not being checked): the count of the numbers up to it which are coprime to it
+        BigNumber.totient = function(factors) {
+            var result = BigNumber(1), pairs = factorisation(factors);
+            if (!pairs) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid factorisation');
+            pairs.forEach(function(pair) {
+                result = result.multiply(BigNumber(pair.prime).power(pair.exponent - 1).multiply(BigNumber(pair.prime).subtract(1)));
+            });
+            return result;
+        };
+
+        // Carmichael's function of the number with the given factorisation (see totient): the smallest m such that
+        // x^m mod n is 1 for all x coprime to n, the lcm of those of its prime powers
+        BigNumber.carmichael = function(factors) {
+            var result = BigNumber(1), pairs = factorisation(factors);
+            if (!pairs) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid factorisation');
+            pairs.forEach(function(pair) {
+                // The units modulo p^e are cyclic of order p^(e-1)*(p-1), except for 2^e from e = 3 where 2^(e-2) will do
+                var lambda = pair.prime.equals(2) ? BigNumber(2).power(pair.exponent < 3 ? pair.exponent - 1 : pair.exponent - 2) :
+                    BigNumber(pair.prime).power(pair.exponent - 1).multiply(BigNumber(pair.prime).subtract(1));
+                result = result.lcm(lambda);
+            });
+            return result;
+        };
+
+        /*
+         * Factorization
+         *
+         * The small prime factors are found by trial division, and the rest split by Pollard's rho in Brent's variant:
+         * the sequence x = x^2 + c mod n falls into a cycle modulo every prime p of n within about sqrt(p) steps, when
+         * gcd(x - y, n) gives a factor (the differences are multiplied in batches to take one gcd per batch). Pollard's
+         * p-1 may be tried first, finding the primes p for which p-1 has only small factors: a^(p-1) is 1 mod p.
+         */
+        var rhoBatch=100;
+        var pMinusOneBound=10000;
+
+        // Helper function which returns |a - b| for the positive number arrays a and b, as a new array
+        var difference = function(a, b) {
+            return compare(a, b) >= 0 ? normalise(BigNumber._subtract(a.slice(), b)) : normalise(BigNumber._subtract(b.slice(), a));
+        };
+
+        // Helper function which checks whether the positive number array is 1
+        var isOne = function(number) {
+            return number.length == 1 && number[0] === 1;
+        };
+
+        // Helper function which spends count iterations of the budget, returning false once it is exhausted
+        var spend = function(budget, count) {
+            budget.iterations -= count;
+            return budget.iterations >= 0 && Date.now() <= budget.deadline;
+        };
+
+        // Helper function which returns a factor of the positive composite number array n (possibly n itself) by Brent's
+        // variant of Pollard's rho with x^2 + c, or null if the budget runs out
+        var rho = function(n, c, budget) {
+            var context = barrettContext(n);
+            var next = function(x) {
+                return barrettReduce(context, BigNumber._add(BigNumber._square(x), c));
+            };
+            var x, y = BigNumber(2).number, saved, product = [1], gcd = [1], steps = 1, index, count;
+            do {
+                // x stays at the start of the stretch of steps while y goes along it, twice as long each time (the
+                // budget being checked after every batch of steps, as the stretch grows long)
+                x = y;
+                for (count = 0; count < steps; count += rhoBatch) {
+                    for (index = 0; index < Math.min(rhoBatch, steps - count); index++) y = next(y);
+                    if (!spend(budget, index)) return null;
+                }
+                for (count = 0; count < steps && isOne(gcd); count += rhoBatch) {
+                    saved = y;
+                    for (index = 0; index < Math.min(rhoBatch, steps - count); index++) {
+                        y = next(y);
+                        product = barrettReduce(context, BigNumber._multiply(product, difference(x, y)));
+                    }
+                    if (!spend(budget, index)) return null;
+                    gcd = euclid(product.slice(), n.slice()).gcd;
+                }
+                steps *= 2;
+            } while (isOne(gcd));
 
-        if (denominator.length === 1 && denominator[0] === 1) return this;
+            // The batch went past the factor (to a multiple of n): the steps are taken again one at a time
+            if (compare(gcd, n) === 0) {
+                do {
+                    saved = next(saved);
+                    gcd = euclid(difference(x, saved), n.slice()).gcd;
+                } while (isOne(gcd));
+            }
+            return gcd;
+        };
+
+        // Helper function which returns a factor of the positive number array n by Pollard's p-1 with the primes below
+        // bound, or null if it finds none
+        var pMinusOne = function(n, bound) {
+            var context = barrettContext(n), a = barrettReduce(context, BigNumber(2).number);
+            primesBelow(bound).forEach(function(prime) {
+                for (var power = prime; power * prime < bound; power *= prime);
+                a = barrettPower(context, a, BigNumber(power).number);
+            });
+            var gcd = euclid(normalise(BigNumber._subtract(a, [1])), n.slice()).gcd;
+            return isOne(gcd) || compare(gcd, n) === 0 ? null : gcd;
+        };
+
+        // Helper function which returns the primes (BigNumbers, with repeats) as an array of {prime, exponent}, from the
+        // smallest prime
+        var primePowers = function(primes) {
+            var powers = [];
+            primes.sort(function(a, b) {
+                return compare(a.number, b.number);
+            }).forEach(function(prime) {
+                var last = powers[powers.length - 1];
+                if (last && last.prime.equals(prime)) last.exponent++;
+                else powers.push({prime: prime, exponent: 1});
+            });
+            return powers;
+        };
+
+        // The prime factorisation of |this.number|: an array of {prime, exponent} (the primes as BigNumbers, from the
+        // smallest), [] for 1. The options may limit the search:
+        //
+        //      iterations : the number of Pollard's rho steps (unlimited by default)
+        //      time       : the time in milliseconds (unlimited by default)
+        //      pMinusOne  : true (or the bound of the primes, 10000 by default) to try Pollard's p-1 first
+        //
+        // A search which runs out of its budget throws a BigNumberError with the BUDGET_EXCEEDED code, holding the prime
+        // factors found so far (factors) and the composite numbers left to factorise (remaining). The primes found for
+        // numbers above 3.3*10^24 are probable primes (see isProbablePrime)
+        BigNumber.prototype.factorize = function(options) {
+            if (this.error) throw this.error;
+            if (this.isZero()) throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Cannot factorize 0');
+            options = options || {};
+            var budget = {
+                iterations: typeof options.iterations === 'number' ? options.iterations : Infinity,
+                deadline: typeof options.time === 'number' ? Date.now() + options.time : Infinity
+            };
+            var bound = options.pMinusOne === true ? pMinusOneBound : options.pMinusOne;
+            var primes = [], composites = [], number = this.number.slice();
+
+            // Trial division by the small primes
+            getSmallPrimes().forEach(function(prime) {
+                while (!remainder(number, prime)) {
+                    BigNumber._simpledivide(number, prime);
+                    normalise(number);
+                    primes.push(BigNumber(prime));
+                }
+            });
+            if (!isOne(number)) {
+                composites.push(BigNumber());
+                composites[0].number = number;
+            }
 
-        // Action according to relative size of numerator and denominator
-        switch (compare(this.number,denominator)) {
-        case -1:
-            this.rest = BigNumber(this);
-            this.number = [0];
-            break;
+            while (composites.length) {
+                var composite = composites.pop(), factor = null;
+                if (composite.isProbablePrime()) {
+                    primes.push(composite);
+                    continue;
+                }
+                if (composite.isPerfectSquare()) {
+                    factor = BigNumber(composite).sqrt().number;
+                } else if (typeof bound === 'number' && bound > 2) {
+                    factor = pMinusOne(composite.number, bound);
+                }
+                for (var c = 1; !factor || compare(factor, composite.number) === 0; c++) {
+                    factor = rho(composite.number, BigNumber(c).number, budget);
+                    if (!factor) {
+                        var error = new BigNumberError(BigNumberError.BUDGET_EXCEEDED, 'Factorization of ' + this +
+                            ' ran out of its budget');
+                        error.factors = primePowers(primes);
+                        error.remaining = composites.concat(composite);
+                        throw error;
+                    }
+                }
+                var other = BigNumber(), divisor = BigNumber();
+                divisor.number = factor;
+                other.number = BigNumber._divide(composite.number, factor)[0];
+                composites.push(divisor, other);
+            }
+            return primePowers(primes);
+        };
+
+        // this.number.toString(radix), the radix being from 2 to 36 (10 by default)
+        // Due to the number not necessarily being in the radix, we need to use BigNumber division
+        // to extract the digits (see numberToDigits) - unless both the base and the radix are powers of 2,
+        // when we can shuffle bits instead
+        BigNumber.prototype.toString = function(radix) {
+            var str = '';
+            if (this.error) return 'NaN';
+            if (typeof radix === 'undefined') radix=10;
+            else if (!validRadix(radix)) throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Invalid radix: ' + radix);
+
+            var bits=baseBits && radixBits(radix);
+            if (bits) {
+                var digits=[];
+                for (var index=0,accumulator=0,accumulatorBits=0; index<this.number.length; index++) {
+                    accumulator|=this.number[index]<<accumulatorBits;
+                    for (accumulatorBits+=baseBits; accumulatorBits>=bits; accumulatorBits-=bits) {
+                        digits.push(digitCharacters.charAt(accumulator&(radix-1)));
+                        accumulator>>>=bits;
+                    }
+                }
+                if (accumulator) digits.push(digitCharacters.charAt(accumulator));
+                str=digits.reverse().join('').replace(/^0+/, '');
+            } else {
+                str=numberToDigits(this.number, radixInfo(radix), radix);
+            }
+            if (str.length==0) str='0';
+            return (this.sign > 0) ? str : ('-' + str);
+        };
+
+        /*
+         * Parsing
+         *
+         * Unlike the constructor, which makes do with what it is given, parse reads a string strictly and throws a
+         * BigNumberError with the SYNTAX code and the position of the first character it cannot read. Options:
+         *      radix        : 2 to 36, 10 by default (a prefix 0x, 0o or 0b gives the radix if none is given)
+         *      whitespace   : true to allow white space before and after the number (not between its sign and digits)
+         *      separator    : '_' or ',' to allow that character between two digits, e.g. '1_000_000'
+         *      leadingZeros : true to allow zeros before the first significant digit, e.g. '007'
+         */
+        var separators = {'_': true, ',': true};
+
+        // Helper function which returns a syntax error at the given position of the string
+        var syntaxError = function(message, position) {
+            var error = new BigNumberError(BigNumberError.SYNTAX, message + ' at position ' + position);
+            error.position = position;
+            return error;
+        };
+
+        // Helper function which checks the parse options, throwing on an invalid one, and returns them with their defaults
+        var parseOptions = function(options) {
+            options = options || {};
+            var radix = typeof options.radix === 'undefined' ? null : options.radix;
+            if (radix !== null && !validRadix(radix)) {
+                throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Invalid radix: ' + radix);
+            }
+            var separator = typeof options.separator === 'undefined' ? null : options.separator;
+            if (separator !== null && !separators.hasOwnProperty(separator)) {
+                throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Invalid separator: ' + separator);
+            }
+            return {
+                radix: radix,
+                whitespace: !!options.whitespace,
+                separator: separator,
+                leadingZeros: !!options.leadingZeros
+            };
+        };
+
+        // Helper function which reads the string as a new BigNumber, or returns the syntax error at the first character
+        // which cannot be read
+        var parse = function(string, options) {
+            var position = 0, end = string.length, sign = 1, radix = options.radix || 10, digits = [], value, next;
+            if (options.whitespace) {
+                while (/\s/.test(string.charAt(position))) position++;
+                while (end > position && /\s/.test(string.charAt(end - 1))) end--;
+            }
+            if (string.charAt(position) === '-' || string.charAt(position) === '+') {
+                sign = string.charAt(position) === '-' ? -1 : 1;
+                position++;
+            }
 
-        case 0:
-            this.rest = BigNumber(0);
-            this.number = [1];
-            break;
+            // A prefix gives the radix if none is given (or may repeat the one given)
+            var prefixRadix = radixPrefixes[string.substring(position, position + 2).toLowerCase()];
+            if (prefixRadix && (!options.radix || prefixRadix === radix)) {
+                radix = prefixRadix;
+                position += 2;
+            }
+            if (position === end) return syntaxError('Expected a digit', position);
 
-        case 1:
-            var index;
-            if (denominator.length==1) {
-                for (index = this.number.length - 1,rest=0; index >= 0; index--) {
-                    // If we are dividing by a small number (less than our base) then we can do this division step natively
-                    // which is much faster
-                    var temp = rest * base + this.number[index];
-                    this.number[index] = Math.floor(temp / denominator[0]);
-                    rest = temp % denominator[0];
-                }
-                this.rest = BigNumber(rest);
-            } else {
-                // Fast initialisation of the remainder (rest) until it is within the base number of the denominator
-                // We could use the looping algorithm below to achieve the same thing but this is a little quicker where
-                // the denominator is of a significant size
-                var rest=[];
-                var skip=0;
-                skip = denominator.length - (this.number[this.number.length - 1] >= denominator[denominator.length - 1] ? 2 : 1);
-                if (skip > 0) rest = this.number.slice(-skip);
-                var result = [];
-
-                // Preset multiples of the denominator from the factors of our base. This precalculation improves performance
-                var denominatormultiples=[];
-                for (index=0; index<factors.length; index++) denominatormultiples.push(BigNumber._simplemultiply(denominator.slice(),factors[index]));
-
-                /*
-                * Loop through numerators digits - some observations...
-                *
-                * Note that this whole routine effectively means we do LOG2(numerator) native subtractions to achieve the division!
-                * Which means that the execution speed is essentially in proportion to log(numerator)
-                * Denominator size is irrelevant unless it is a significant by comparison to the numerator
-                * due to the optimisation detailed above (remainder initialisation)
-                *
-                * For each numerator digit tot up the result using the factored denominator numbers
-                * Essentially we are asking how many times we can subtract the denominator from the powered up remainder
-                * Using a base of a power of two is a bit like doing a "binary chop" - we take lots away first and then ever smaller half-chunks
-                *
-                * For optimum performance, the base should be a power of 2 which means the inner "while" loop only really needs to be an "if"
-                */
-                for (index = this.number.length - 1 - skip; index >= 0; index--) {
-                    result[index] = 0;
-                    if (rest.length>0 || this.number[index]>0) {
-                        rest.unshift(this.number[index]);
-                        for (var i = 0; i < factors.length; i++) {
-                            while (compare(denominatormultiples[i], rest) <= 0) {
-                                result[index] += factors[i];
-                                BigNumber._subtract(rest, denominatormultiples[i]);
-                            }
-                        }
+            for (var start = position; position < end; position++) {
+                var character = string.charAt(position);
+                if (character === options.separator) {
+                    if (position === start || position === end - 1 || string.charAt(position + 1) === character) {
+                        return syntaxError('Unexpected separator \'' + character + '\'', position);
                     }
+                    continue;
+                }
+                value = digitValue(character, radix);
+                if (value < 0) return syntaxError('Unexpected character \'' + character + '\'', position);
+                next = position < end - 1 ? string.charAt(position + 1) : '';
+                if (!value && !digits.length && !options.leadingZeros &&
+                    (digitValue(next, radix) >= 0 || next === options.separator)) {
+                    return syntaxError('Unexpected leading zero', position);
                 }
-                this.rest = BigNumber();
-                this.rest.number = rest;
-                this.number = result;
+                digits.push(value);
             }
-            clearLeadingZeros(this.number);
-            break;
-        }
-        return this;
-    };
 
-    // this.number % number
-    BigNumber.prototype.mod = function(number) {
-        return this.divide(number).rest;
-    };
-
-    BigNumber.prototype.power = function(number) {
-        if (typeof number === 'undefined') return;
+            var result = BigNumber();
+            parseDigits(result, digits, radix);
+            result.sign = result.isZero() ? 1 : sign;
+            return result;
+        };
+
+        // Reads the string as a new BigNumber with the options (see above), throwing a BigNumberError with the SYNTAX
+        // code and the position of the error if it is not a number, whatever the errorMode setting
+        BigNumber.parse = function(string, options) {
+            if (typeof string !== 'string') throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Invalid string: ' + string);
+            var result = parse(string, parseOptions(options));
+            if (result instanceof BigNumberError) throw result;
+            return result;
+        };
+
+        // Reads the string as parse does, but returns null if it is not a number (invalid options still throw)
+        BigNumber.tryParse = function(string, options) {
+            options = parseOptions(options);
+            if (typeof string !== 'string') return null;
+            var result = parse(string, options);
+            return result instanceof BigNumberError ? null : result;
+        };
+
+        /*
+         * Formatting
+         *
+         * Rounding modes, for the digits of toExponential and toPrecision:
+         *      UP        : away from zero
+         *      DOWN      : towards zero (truncation)
+         *      CEIL      : towards +infinity
+         *      FLOOR     : towards -infinity
+         *      HALF_UP   : to the nearest, halves away from zero (the default, as for native numbers)
+         *      HALF_DOWN : to the nearest, halves towards zero
+         *      HALF_EVEN : to the nearest, halves to the even neighbour (banker's rounding)
+         */
+        var roundingModes = ['UP', 'DOWN', 'CEIL', 'FLOOR', 'HALF_UP', 'HALF_DOWN', 'HALF_EVEN'];
+
+        // Helper function which rounds the decimal digits (of a number with the given sign) to their first length digits,
+        // returning one more digit if the rounding carries (e.g. 999 to 100 for a length of 2, in HALF_UP mode)
+        var roundDigits = function(digits, length, mode, negative) {
+            if (digits.length <= length) return digits + zeros(length - digits.length);
+            var kept = digits.substring(0, length), first = digits.charAt(length);
+            var rest = /[^0]/.test(digits.substring(length + 1));
+            var up;
+            switch (mode) {
+            case 'UP':
+                up = first !== '0' || rest;
+                break;
+            case 'DOWN':
+                up = false;
+                break;
+            case 'CEIL':
+                up = !negative && (first !== '0' || rest);
+                break;
+            case 'FLOOR':
+                up = negative && (first !== '0' || rest);
+                break;
+            case 'HALF_UP':
+                up = first >= '5';
+                break;
+            case 'HALF_DOWN':
+                up = first > '5' || (first === '5' && rest);
+                break;
+            case 'HALF_EVEN':
+                up = first > '5' || (first === '5' && (rest || kept.charAt(length - 1) % 2 === 1));
+                break;
+            }
+            return up ? BigNumber(kept).add(1).toString() : kept;
+        };
+
+        // Helper function which checks a rounding mode (HALF_UP if not given), throwing if it is invalid
+        var validRounding = function(mode) {
+            if (typeof mode === 'undefined') return 'HALF_UP';
+            if (roundingModes.indexOf(mode) < 0) throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Invalid rounding: ' + mode);
+            return mode;
+        };
+
+        // Helper function which returns the digit group separator of a locale (',' where Intl is not supported)
+        var groupSeparator = function(locale) {
+            if (typeof Intl !== 'object' || !Intl.NumberFormat.prototype.formatToParts) return ',';
+            var parts;
+            try {
+                parts = new Intl.NumberFormat(locale).formatToParts(1000000);
+            } catch (error) {
+                throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Invalid locale: ' + locale);
+            }
+            for (var index = 0; index < parts.length; index++) {
+                if (parts[index].type === 'group') return parts[index].value;
+            }
+            return '';
+        };
+
+        // this.number in decimal with its digits in groups. Options (all optional):
+        //      groupSize      : the number of digits in a group, 3 by default (0 for no grouping)
+        //      groupSeparator : the string between groups, ',' by default or as given by the locale
+        //      locale         : a locale (e.g. 'de-DE') which gives the group separator
+        // e.g. BigNumber('1234567').toFormat() is '1,234,567'
+        BigNumber.prototype.toFormat = function(options) {
+            if (this.error) return 'NaN';
+            options = options || {};
+            var groupSize = typeof options.groupSize === 'undefined' ? 3 : options.groupSize;
+            if (!validIndex(groupSize) || groupSize < 0) {
+                throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Invalid groupSize: ' + groupSize);
+            }
+            var separator = options.groupSeparator;
+            if (typeof separator === 'undefined') separator = typeof options.locale === 'undefined' ? ',' : groupSeparator(options.locale);
+
+            var digits = this.toString().replace('-', '');
+            var groups = [];
+            if (!groupSize) groups.push(digits);
+            for (var end = digits.length; groupSize && end > 0; end -= groupSize) {
+                groups.unshift(digits.substring(Math.max(end - groupSize, 0), end));
+            }
+            return (this.sign < 0 ? '-' : '') + groups.join(String(separator));
+        };
+
+        // this.number in scientific notation with digits digits after the point (by default as many as needed to give
+        // the number exactly), rounded with the rounding mode, e.g. BigNumber('123456').toExponential(2) is '1.23e+5'
+        BigNumber.prototype.toExponential = function(digits, rounding) {
+            if (this.error) return 'NaN';
+            var mode = validRounding(rounding);
+            var negative = this.sign < 0, str = this.toString().replace('-', '');
+            if (typeof digits === 'undefined') digits = Math.max(str.replace(/0+$/, '').length - 1, 0);
+            else if (!validIndex(digits) || digits < 0) {
+                throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Invalid digits: ' + digits);
+            }
 
-        // Convert the argument to a number
-        number = +number;
-        if (number === 0) return BigNumber(1);
-        if (number === 1) return this;
+            var exponent = str.length - 1;
+            var rounded = roundDigits(str, digits + 1, mode, negative);
+            if (rounded.length > digits + 1) {
+                exponent++;
+                rounded = rounded.substring(0, digits + 1);
+            }
+            return (negative ? '-' : '') + rounded.charAt(0) + (digits ? '.' + rounded.substring(1) : '') + 'e+' + exponent;
+        };
+
+        // this.number with precision significant digits, like Number.prototype.toPrecision: in scientific notation if it
+        // has more digits than that (see toExponential), else padded with zeros after the point
+        BigNumber.prototype.toPrecision = function(precision, rounding) {
+            if (this.error) return 'NaN';
+            if (typeof precision === 'undefined') return this.toString();
+            if (!validIndex(precision) || precision < 1) {
+                throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Invalid precision: ' + precision);
+            }
+            var str = this.toString(), length = str.replace('-', '').length;
+            if (length > precision) return this.toExponential(precision - 1, rounding);
+            validRounding(rounding);
+            return str + (precision > length ? '.' + zeros(precision - length) : '');
+        };
+
+        // this.number formatted for the locales with the Intl options (see Intl.NumberFormat), or grouped with ','
+        // where Intl or BigInt is not supported
+        BigNumber.prototype.toLocaleString = function(locales, options) {
+            if (this.error) return 'NaN';
+            if (typeof Intl !== 'object' || typeof BigInt !== 'function') return this.toFormat();
+            return new Intl.NumberFormat(locales, options).format(this.toBigInt());
+        };
+
+        // Check if this.number is a valid number (i.e. not the result of a failed operation)
+        BigNumber.prototype.isValid = function() {
+            return !this.error;
+        };
+
+        // Check if this.number is invalid (NaN), the result of a failed operation
+        BigNumber.prototype.isNaN = function() {
+            return !!this.error;
+        };
+
+        /*
+         * Native number and BigInt interop
+         *
+         * Numbers are converted straight between their binary elements (see toBinary) and BigInt, without a decimal step:
+         * the halves of a long number are converted recursively and joined (or split) by shifting, so that the conversion
+         * takes about n.log(n) steps rather than the n^2 of converting an element at a time. BigInt is only used where it
+         * is supported.
+         */
+        var bigIntThreshold=32;
+
+        // Helper function which returns the binary elements start to end of the positive number as a BigInt
+        var toBigInt = function(number, start, end) {
+            var value = BigInt(0);
+            if (end - start <= bigIntThreshold) {
+                for (var index = end - 1; index >= start; index--) value = (value << BigInt(binaryBits)) + BigInt(number[index]);
+                return value;
+            }
+            var middle = start + Math.floor((end - start) / 2);
+            return (toBigInt(number, middle, end) << BigInt((middle - start) * binaryBits)) + toBigInt(number, start, middle);
+        };
+
+        // Helper function which returns the positive BigInt value (below 2^(binaryBits.length)) as the given number of binary
+        // elements
+        var fromBigInt = function(value, length) {
+            var number = [];
+            if (length <= bigIntThreshold) {
+                for (var index = 0; index < length; index++) {
+                    number.push(Number(BigInt.asUintN(binaryBits, value)));
+                    value >>= BigInt(binaryBits);
+                }
+                return number;
+            }
+            var half = Math.floor(length / 2);
+            return fromBigInt(BigInt.asUintN(half * binaryBits, value), half)
+                .concat(fromBigInt(value >> BigInt(half * binaryBits), length - half));
+        };
+
+        // Creates a BigNumber from a native BigInt
+        BigNumber.fromBigInt = function(value) {
+            var result = BigNumber();
+            if (!isBigInt(value)) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid BigInt: ' + value);
+            if (value < 0) {
+                result.sign = -1;
+                value = -value;
+            }
 
-        var bigNumber = BigNumber(this);
+            // The length of the number from the length of its hexadecimal digits
+            result.number = fromBinary(normalise(fromBigInt(value, Math.ceil(value.toString(16).length * 4 / binaryBits))));
+            if (result.isZero()) result.sign = 1;
+            return result;
+        };
+
+        // this.number as a native BigInt (an invalid number throws its error)
+        BigNumber.prototype.toBigInt = function() {
+            if (typeof BigInt !== 'function') throw new BigNumberError(BigNumberError.NOT_SUPPORTED, 'BigInt is not supported');
+            if (this.error) throw this.error;
+            var binary = toBinary(this.number);
+            var value = toBigInt(binary, 0, binary.length);
+            return this.sign < 0 ? -value : value;
+        };
+
+        // Decomposes a finite native number exactly into an odd BigNumber mantissa and an exponent of 2, so that the
+        // number is mantissa * 2^exponent (zero gives a mantissa and exponent of 0). Other numbers give an invalid mantissa
+        BigNumber.fromFloatExact = function(value) {
+            var exponent = 0;
+            if (typeof value !== 'number' || !isFinite(value)) {
+                return {
+                    mantissa: fail(BigNumber(), BigNumberError.INVALID_ARGUMENT, 'Invalid double: ' + value),
+                    exponent: NaN
+                };
+            }
 
-        this.number = [1];
-        while (number > 0) {
-            if (number % 2 === 1) {
-                this.multiply(bigNumber);
-                number--;
-            } else {
-                bigNumber.multiply(bigNumber);
-                number = Math.floor(number / 2);
+            // Doubling (or halving an even integer) is exact, and at most 1074 doublings make any double an integer
+            while (Math.floor(value) !== value) {
+                value *= 2;
+                exponent--;
             }
+            while (value !== 0 && value % 2 === 0) {
+                value /= 2;
+                exponent++;
+            }
+            return {
+                mantissa: BigNumber(value),
+                exponent: exponent
+            };
+        };
+
+        // this.number as the nearest native number, rounding half to even like Number(bigint) (NaN if it is invalid,
+        // or +-Infinity if it is too large)
+        BigNumber.prototype.toNumber = function() {
+            if (this.error) return NaN;
+            var magnitude = BigNumber(this);
+            magnitude.sign = 1;
+            var index, value = 0, length = magnitude.bitLength();
+
+            // Up to 53 bits the number is exact, else the top 53 bits are rounded by the next bit and a sticky bit which
+            // tells if any bits below that are set
+            var drop = Math.max(length - 53, 0);
+            var top = shift(magnitude, -drop).number;
+            for (index = top.length - 1; index >= 0; index--) value = value * base + top[index];
+            if (drop > 0) {
+                var binary = toBinary(this.number);
+                var round = drop - 1, element = Math.floor(round / binaryBits), half = Math.pow(2, round % binaryBits);
+                var bits = binary[element] % (2 * half), sticky = bits % half !== 0;
+                for (index = element - 1; index >= 0 && !sticky; index--) sticky = binary[index] !== 0;
+                if (bits >= half && (sticky || value % 2 === 1)) value++;
+                value *= Math.pow(2, drop);
+            }
+            return this.sign * value;
+        };
+
+        // Check if this.number is a safe integer, i.e. toNumber gives it exactly (its magnitude is at most 2^53-1)
+        BigNumber.prototype.isSafeInteger = function() {
+            return !this.error && Math.abs(this.toNumber()) <= 9007199254740991;
+        };
+
+        // The primitive value of this.number: a BigInt (or a native number where BigInt is not supported), so that
+        // comparisons with <, > and == are exact
+        BigNumber.prototype.valueOf = function() {
+            if (this.error) return NaN;
+            return typeof BigInt === 'function' ? this.toBigInt() : this.toNumber();
+        };
+
+        // Conversion to a primitive: the string of this.number for string and default hints (e.g. template strings and
+        // concatenation, so that every digit is kept), else valueOf
+        if (typeof Symbol === 'function' && Symbol.toPrimitive) {
+            BigNumber.prototype[Symbol.toPrimitive] = function(hint) {
+                return hint === 'number' ? this.valueOf() : this.toString();
+            };
         }
-        return this;
-    };
 
-    BigNumber.prototype.sqrt=function() {
-        if (this.lt(0)) {
-            this.number=errors['square root negative'];
-            return this;
-        }
-        if (this.isZero()) return this;
+        /*
+         * Binary serialization
+         *
+         * Bytes are held in a Uint8Array (or an array where it is not supported), most significant first unless the endian
+         * option is 'little'. Signed numbers are in two's complement, so that the top bit of the first byte is the sign.
+         */
+
+        // Helper function which reads the endian, signed and length options of toBytes and fromBytes, returning null
+        // if they are invalid
+        var byteOptions = function(options) {
+            options = options || {};
+            var endian = typeof options.endian === 'undefined' ? 'big' : options.endian;
+            var length = options.length;
+            if (endian !== 'big' && endian !== 'little') return null;
+            if (typeof length !== 'undefined' && !(validIndex(length) && length > 0)) return null;
+            return {
+                little: endian === 'little',
+                signed: !!options.signed,
+                length: length
+            };
+        };
+
+        // this.number as bytes. Options (all optional):
+        //      endian : 'big' (default) or 'little'
+        //      signed : false (default) for an unsigned number, true for two's complement
+        //      length : the number of bytes, padding the number (by default the fewest bytes which hold the number)
+        // A number which does not fit (or a negative unsigned number) throws an OVERFLOW error
+        BigNumber.prototype.toBytes = function(options) {
+            if (this.error) throw this.error;
+            var format = byteOptions(options);
+            if (!format) throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Invalid byte options');
+
+            // A signed number needs a bit for its sign, which bitLength leaves out
+            var bits = this.bitLength() + (format.signed ? 1 : 0);
+            var length = typeof format.length === 'undefined' ? Math.max(Math.ceil(bits / 8), 1) : format.length;
+            if ((this.sign < 0 && !format.signed) || bits > length * 8) {
+                throw new BigNumberError(BigNumberError.OVERFLOW, 'Number does not fit in ' + length + ' bytes');
+            }
 
-        var last;
-        var next=BigNumber();
-        next.number=[];
+            // A negative number is written as 2^(8.length) plus the number
+            var number = this.number;
+            if (this.sign < 0) number = BigNumber._subtract(shiftBitsUp([1], length * 8), number);
+            number = toBinary(number);
+
+            var bytes = typeof Uint8Array === 'function' ? new Uint8Array(length) : [];
+            var index, value = 0, valueBits = 0, element = 0;
+            for (index = 0; index < length; index++) {
+                while (valueBits < 8 && element < number.length) {
+                    value += number[element++] * Math.pow(2, valueBits);
+                    valueBits += binaryBits;
+                }
+                bytes[format.little ? index : length - 1 - index] = value % 256;
+                value = Math.floor(value / 256);
+                valueBits -= 8;
+            }
+            return bytes;
+        };
+
+        // Creates a BigNumber from bytes (a Uint8Array, Buffer or array of integers from 0 to 255)
+        // Options are the endian and signed options of toBytes
+        BigNumber.fromBytes = function(bytes, options) {
+            var result = BigNumber();
+            var format = byteOptions(options);
+            if (!format) return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid byte options');
+            if (!bytes || typeof bytes.length !== 'number') return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid bytes');
+
+            var index, byte, number = [], value = 0, valueBits = 0;
+            for (index = 0; index < bytes.length; index++) {
+                byte = bytes[format.little ? index : bytes.length - 1 - index];
+                if (typeof byte !== 'number' || !(byte >= 0 && byte <= 255 && Math.floor(byte) === byte)) {
+                    return fail(result, BigNumberError.INVALID_ARGUMENT, 'Invalid byte: ' + byte);
+                }
+                value += byte * Math.pow(2, valueBits);
+                valueBits += 8;
+                while (valueBits >= binaryBits) {
+                    number.push(value % binaryBase);
+                    value = Math.floor(value / binaryBase);
+                    valueBits -= binaryBits;
+                }
+            }
+            number.push(value);
+            result.number = fromBinary(normalise(number));
 
-        // Create a number that is an approximate square root of this number (i.e. half the digit length)
-        for (var size=(this.number.length-1+Math.log(this.number[this.number.length-1])/Math.log(base))/2; size>1; size--) {
-            next.number.push(0);
-        }
-        next.number.push(Math.floor(Math.pow(base,size)));
-
-        // Newton's method to zoom in on the square root by successive approximations
-        do {
-            last=BigNumber(next);
-            next=BigNumber(this).div(last).add(last).div(2);
-        } while (!last.equals(next));
-        this.number=last.number.slice();
-        return this;
-    };
+            // A set top bit makes a signed number negative: it is the number less 2^(8.length)
+            if (format.signed && bytes.length && bytes[format.little ? bytes.length - 1 : 0] >= 128) {
+                result.number = normalise(BigNumber._subtract(shiftBitsUp([1], bytes.length * 8), result.number));
+                result.sign = -1;
+            }
+            return result;
+        };
+
+        // this.number for JSON.stringify: its decimal string, which keeps every digit (see BigNumber.fromJSON)
+        BigNumber.prototype.toJSON = function() {
+            return this.toString();
+        };
+
+        // Creates a BigNumber from the JSON value of toJSON (a decimal string, or an integer for convenience)
+        BigNumber.fromJSON = function(value) {
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                return fail(BigNumber(), BigNumberError.INVALID_ARGUMENT, 'Invalid JSON value: ' + value);
+            }
+            return BigNumber(value);
+        };
 
-    // |this.number|
-    BigNumber.prototype.abs = function() {
-        this.sign = 1;
-        return this;
-    };
+        BigNumber.BigNumberError = BigNumberError;
+        BigNumber.Barrett = Barrett;
 
-    // Check if this.number is equal to 0
-    BigNumber.prototype.isZero = function() {
-        var index;
-        for (index = 0; index < this.number.length; index++) {
-            if (this.number[index] !== 0) return false;
-        }
-        return true;
-    };
+        // Use shortcuts for functions names
+        BigNumber.prototype.plus = BigNumber.prototype.add;
+        BigNumber.prototype.minus = BigNumber.prototype.subtract;
+        BigNumber.prototype.div = BigNumber.prototype.divide;
+        BigNumber.prototype.mult = BigNumber.prototype.multiply;
+        BigNumber.prototype.pow = BigNumber.prototype.power;
+        BigNumber.prototype.val = BigNumber.prototype.toString;
 
-    // this.number.toString()
-    // Due to the number not necessarily being in base 10, we need to use BigNumber division
-    // to extract the decimal digits
-    BigNumber.prototype.toString = function() {
-        var str = '';
-        if (typeof this.number === 'string') return this.number;
-
-        var ten=BigNumber(10);
-        var clone=BigNumber(this).abs();
-        while(!clone.isZero()) {
-            str=singleDigit(clone.mod(ten).number)+str;
-        }
-        if (str.length==0) str='0';
-        return (this.sign > 0) ? str : ('-' + str);
-    };
+        return BigNumber;
+    }
 
-    // Use shortcuts for functions names
-    BigNumber.prototype.plus = BigNumber.prototype.add;
-    BigNumber.prototype.minus = BigNumber.prototype.subtract;
-    BigNumber.prototype.div = BigNumber.prototype.divide;
-    BigNumber.prototype.mult = BigNumber.prototype.multiply;
-    BigNumber.prototype.pow = BigNumber.prototype.power;
-    BigNumber.prototype.val = BigNumber.prototype.toString;
+    var BigNumber = factory({base: Math.pow(2, 25)});
 
     // CommonJS
     if (typeof exports === 'object' && typeof module !== 'undefined') {
@@ -0,0 +1,307 @@
+/*!
+ * expression.js -> Evaluation of big integer formulas, e.g. BigNumber.evaluate('(2^127 - 1) % x + sqrt(y)', {x: 7, y: 1e6})
+ * Built on big-number.js: a formula is compiled once into a function, which maps every operation onto the methods of
+ * BigNumber and may then be evaluated for any values of its variables
+ * MIT Licensed
+ * It supports the following syntax, from the lowest precedence to the highest:
+ *      comparison (at most one, giving a boolean) : <, <=, >, >=, ==, !=
+ *      addition and subtraction                   : +, -
+ *      multiplication, division and modulo        : *, / (truncated, see BigNumber.divide), %
+ *      negation                                   : -, +
+ *      power (right associative)                  : ^
+ *      numbers (as read by BigNumber, e.g. 42, 0xff or 1.5e30), variables, functions calls and parentheses
+ */
+
+!(function() {
+    'use strict';
+
+    /*
+     * Returns the compile and evaluate functions of a BigNumber constructor: formulas give numbers of that constructor
+     * and follow its settings (see BigNumber.clone)
+     */
+    function factory(BigNumber) {
+        var BigNumberError = BigNumber.BigNumberError;
+
+        // Tokens: numbers, names and operators (the longest first)
+        var tokenPattern = /([0-9][0-9a-z.]*(?:e[+-]?[0-9]+)?)|([a-z_$][a-z0-9_$]*)|(<=|>=|==|!=|[-+*\/%^(),<>])/gi;
+
+        // Binary operators of each level of precedence (from the lowest) and the methods they map onto
+        var comparisons = {
+            '<': 'lt',
+            '<=': 'lte',
+            '>': 'gt',
+            '>=': 'gte',
+            '==': 'equals',
+            '!=': 'equals'
+        };
+        var additions = {
+            '+': 'add',
+            '-': 'subtract'
+        };
+        var multiplications = {
+            '*': 'multiply',
+            '/': 'divide',
+            '%': 'mod'
+        };
+
+        // Functions and their number of arguments
+        var functions = {
+            sqrt: 1,
+            abs: 1,
+            gcd: 2,
+            lcm: 2,
+            min: 2,
+            max: 2
+        };
+
+        // Helper function which throws a syntax error at the given position of the formula
+        var syntaxError = function(message, position) {
+            var error = new BigNumberError(BigNumberError.SYNTAX, message + ' at position ' + position);
+            error.position = position;
+            throw error;
+        };
+
+        // Helper function which returns the position of the first character from position on which is not white space
+        var skipSpace = function(formula, position) {
+            while (/\s/.test(formula.charAt(position))) position++;
+            return position;
+        };
+
+        // Helper function which returns the BigNumber of a number token, or null if it is not a number (whatever the
+        // errorMode setting, in which the constructor may throw)
+        var number = function(text) {
+            try {
+                var value = BigNumber(text);
+                return value.error ? null : value;
+            } catch (error) {
+                if (!(error instanceof BigNumberError)) throw error;
+                return null;
+            }
+        };
+
+        // Helper function which splits the formula into tokens: {type: 'number', 'name', 'operator' or 'end', text, position}
+        var tokenize = function(formula) {
+            var tokens = [], match, position = skipSpace(formula, 0);
+            while (position < formula.length) {
+                tokenPattern.lastIndex = position;
+                match = tokenPattern.exec(formula);
+                if (!match || match.index !== position) {
+                    syntaxError('Unexpected character \'' + formula.charAt(position) + '\'', position);
+                }
+                tokens.push({
+                    type: match[1] ? 'number' : match[2] ? 'name' : 'operator',
+                    text: match[0],
+                    position: position
+                });
+                position = skipSpace(formula, tokenPattern.lastIndex);
+            }
+            tokens.push({type: 'end', text: 'end of formula', position: formula.length});
+            return tokens;
+        };
+
+        // Helper function which returns the result of the binary operation on the evaluated operands
+        // Every operation works on a new BigNumber so that the values of the variables are never modified
+        var operation = function(method, left, right) {
+            var result = BigNumber(left);
+            if (right.error && !result.error) return BigNumber(right);
+            return result[method](right);
+        };
+
+        // Helper function which returns the evaluated function call
+        var call = function(name, args) {
+            var result = BigNumber(args[0]);
+            switch (name) {
+            case 'sqrt':
+                return result.sqrt();
+            case 'abs':
+                return result.abs();
+            case 'gcd':
+                return result.gcd(args[1]);
+            case 'lcm':
+                return result.lcm(args[1]);
+            case 'min':
+            case 'max':
+                if (result.error || args[1].error) return result.error ? result : BigNumber(args[1]);
+                return result[name === 'min' ? 'lte' : 'gte'](args[1]) ? result : BigNumber(args[1]);
+            }
+        };
+
+        /*
+         * Precedence parser: each parse function reads its part of the formula from the tokens and returns a function which
+         * evaluates it for the variables
+         */
+        function Parser(formula) {
+            this.tokens = tokenize(formula);
+            this.index = 0;
+        }
+
+        // The next token, without reading it
+        Parser.prototype.peek = function() {
+            return this.tokens[this.index];
+        };
+
+        // Reads the next token, which must be the given operator if one is given
+        Parser.prototype.next = function(operator) {
+            var token = this.tokens[this.index];
+            if (typeof operator !== 'undefined' && (token.type !== 'operator' || token.text !== operator)) {
+                syntaxError('Expected \'' + operator + '\' but found \'' + token.text + '\'', token.position);
+            }
+            this.index++;
+            return token;
+        };
+
+        // Reads a binary operator of the given table, returning null if the next token is not one
+        Parser.prototype.operator = function(operators) {
+            var token = this.peek();
+            if (token.type !== 'operator' || !operators.hasOwnProperty(token.text)) return null;
+            this.index++;
+            return token.text;
+        };
+
+        // formula : sum [comparison sum]
+        Parser.prototype.formula = function() {
+            var left = this.sum();
+            var operator = this.operator(comparisons);
+            if (operator) {
+                var right = this.sum(), method = comparisons[operator], negate = operator === '!=';
+                left = (function(left, right) {
+                    return function(variables) {
+                        var a = left(variables), b = right(variables);
+                        if (a.error || b.error) return negate;
+                        return a[method](b) !== negate;
+                    };
+                })(left, right);
+            }
+            var token = this.peek();
+            if (token.type !== 'end') syntaxError('Unexpected \'' + token.text + '\'', token.position);
+            return left;
+        };
+
+        // sum : product {('+' | '-') product}
+        Parser.prototype.sum = function() {
+            return this.binary(additions, this.product);
+        };
+
+        // product : unary {('*' | '/' | '%') unary}
+        Parser.prototype.product = function() {
+            return this.binary(multiplications, this.unary);
+        };
+
+        // Helper method which reads operands (parsed by the operand method) joined by operators of the given table
+        Parser.prototype.binary = function(operators, operand) {
+            var left = operand.call(this), operator;
+            while ((operator = this.operator(operators))) {
+                left = (function(left, right, method) {
+                    return function(variables) {
+                        return operation(method, left(variables), right(variables));
+                    };
+                })(left, operand.call(this), operators[operator]);
+            }
+            return left;
+        };
+
+        // unary : ('-' | '+') unary | power
+        Parser.prototype.unary = function() {
+            var token = this.peek();
+            if (token.type === 'operator' && (token.text === '-' || token.text === '+')) {
+                this.index++;
+                var operand = this.unary();
+                if (token.text === '+') return operand;
+                return function(variables) {
+                    return operation('multiply', operand(variables), BigNumber(-1));
+                };
+            }
+            return this.power();
+        };
+
+        // power : primary ['^' unary]
+        Parser.prototype.power = function() {
+            var base = this.primary(), token = this.peek();
+            if (token.type !== 'operator' || token.text !== '^') return base;
+            this.index++;
+            var exponent = this.unary();
+            return function(variables) {
+                return operation('power', base(variables), exponent(variables));
+            };
+        };
+
+        // primary : number | name | name '(' sum {',' sum} ')' | '(' sum ')'
+        Parser.prototype.primary = function() {
+            var token = this.next(), value;
+            if (token.type === 'number') {
+                value = number(token.text);
+                if (!value) syntaxError('Invalid number \'' + token.text + '\'', token.position);
+                return function() {
+                    return BigNumber(value);
+                };
+            }
+            if (token.type === 'name') {
+                var next = this.peek();
+                if (next.type === 'operator' && next.text === '(') return this.call(token);
+                return function(variables) {
+                    if (!variables || !Object.prototype.hasOwnProperty.call(variables, token.text)) {
+                        throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Unknown variable: ' + token.text);
+                    }
+                    return BigNumber(variables[token.text]);
+                };
+            }
+            if (token.type === 'operator' && token.text === '(') {
+                value = this.sum();
+                this.next(')');
+                return value;
+            }
+            return syntaxError('Unexpected \'' + token.text + '\'', token.position);
+        };
+
+        // Helper method which reads the arguments of the call to the function named by the token
+        Parser.prototype.call = function(token) {
+            if (!functions.hasOwnProperty(token.text)) syntaxError('Unknown function \'' + token.text + '\'', token.position);
+            var args = [];
+            this.next('(');
+            args.push(this.sum());
+            while (this.peek().text === ',' && this.peek().type === 'operator') {
+                this.index++;
+                args.push(this.sum());
+            }
+            var end = this.next(')');
+            if (args.length !== functions[token.text]) {
+                syntaxError(token.text + ' takes ' + functions[token.text] + ' argument(s)', end.position);
+            }
+            return function(variables) {
+                return call(token.text, args.map(function(arg) {
+                    return arg(variables);
+                }));
+            };
+        };
+
+        // Compiles the formula into a function of its variables (an object of numbers, strings, BigInts or BigNumbers),
+        // which returns a new BigNumber (or a boolean for a comparison). A formula which cannot be read throws a
+        // BigNumberError with the SYNTAX code and the position of the error
+        var compile = function(formula) {
+            if (typeof formula !== 'string') throw new BigNumberError(BigNumberError.INVALID_ARGUMENT, 'Invalid formula: ' + formula);
+            var evaluate = new Parser(formula).formula();
+            return function(variables) {
+                return evaluate(variables || {});
+            };
+        };
+
+        // Evaluates the formula for the variables (see compile)
+        var evaluate = function(formula, variables) {
+            return compile(formula)(variables);
+        };
+
+        return {
+            compile: compile,
+            evaluate: evaluate
+        };
+    }
+
+    // CommonJS
+    if (typeof exports === 'object' && typeof module !== 'undefined') {
+        module.exports = factory;
+    } else if (typeof window !== 'undefined') {
+        var expression = factory(window.BigNumber);
+        window.BigNumber.compile = expression.compile;
+        window.BigNumber.evaluate = expression.evaluate;
+    }
+})();
@@ -0,0 +1,164 @@
+/*
+ * written with Mocha Framework
+*/
+should = require('should');
+BigNumber = require('../');
+BigDecimal = BigNumber.BigDecimal;
+
+describe('BigDecimal', function () {
+    describe('#initialization', function () {
+        it('should parse and print decimals exactly', function () {
+            BigDecimal("123.4500").val().should.equal("123.4500");
+            BigDecimal("-0.0015").val().should.equal("-0.0015");
+            BigDecimal("+.5").val().should.equal("0.5");
+            BigDecimal("7.").val().should.equal("7");
+            BigDecimal("000123").val().should.equal("123");
+            BigDecimal("-1.5e-3").val().should.equal("-0.0015");
+            BigDecimal("1.5e3").val().should.equal("1500");
+            BigDecimal("123456789012345678901234567890.123456789").val().should.equal("123456789012345678901234567890.123456789");
+        });
+
+        it('should keep the scale', function () {
+            BigDecimal("123.4500").scale.should.equal(4);
+            BigDecimal("123.4500").unscaled.val().should.equal("1234500");
+            BigDecimal("5").scale.should.equal(0);
+        });
+
+        it('should create decimals from other objects', function () {
+            BigDecimal(0.1).val().should.equal("0.1");
+            BigDecimal(-42).val().should.equal("-42");
+            BigDecimal(1e21).val().should.equal("1000000000000000000000");
+            BigDecimal(BigNumber(12345)).val().should.equal("12345");
+            var a = BigDecimal("1.50");
+            var b = BigDecimal(a);
+            b.should.not.equal(a);
+            b.val().should.equal("1.50");
+            BigDecimal().val().should.equal("0");
+        });
+
+        it('should reject invalid decimals', function () {
+            ["abc", "1.2.3", ".", "", "1e", "--1", "1,5"].forEach(function (string) {
+                BigDecimal(string).isNaN().should.equal(true);
+                BigDecimal(string).error.code.should.equal("INVALID");
+            });
+            BigDecimal(NaN).isNaN().should.equal(true);
+        });
+    });
+
+    describe('#arithmetic', function () {
+        it('should add and subtract', function () {
+            BigDecimal("0.1").add("0.2").val().should.equal("0.3");
+            BigDecimal("1.25").plus("-3.5").val().should.equal("-2.25");
+            BigDecimal("100").subtract("0.01").val().should.equal("99.99");
+            BigDecimal("1.10").minus("1.1").val().should.equal("0.00");
+        });
+
+        it('should multiply', function () {
+            BigDecimal("1.10").multiply("2.5").val().should.equal("2.750");
+            BigDecimal("-0.5").mult("0.5").val().should.equal("-0.25");
+            BigDecimal("123456789.987654321").multiply("1000000000.000000001").val()
+                .should.equal("123456789987654321.123456789987654321");
+        });
+
+        it('should divide to a given scale', function () {
+            BigDecimal(1).divide(3, {scale: 5}).val().should.equal("0.33333");
+            BigDecimal(2).div(3, {scale: 5}).val().should.equal("0.66667");
+            BigDecimal("1.00").div(3).val().should.equal("0.33");
+            BigDecimal("10").div("0.25").val().should.equal("40.00");
+            BigDecimal("-7").div("2", {scale: 0}).val().should.equal("-4");
+            BigDecimal("7").div("-2", {scale: 0, rounding: BigDecimal.DOWN}).val().should.equal("-3");
+            BigDecimal("123.456").div("1000", {scale: 1}).val().should.equal("0.1");
+        });
+
+        it('should round with every rounding mode', function () {
+            var values = ["5.5", "2.5", "1.6", "1.1", "1.0", "-1.0", "-1.1", "-1.6", "-2.5", "-5.5"];
+            var expected = {
+                UP: "6 3 2 2 1 -1 -2 -2 -3 -6",
+                DOWN: "5 2 1 1 1 -1 -1 -1 -2 -5",
+                CEIL: "6 3 2 2 1 -1 -1 -1 -2 -5",
+                FLOOR: "5 2 1 1 1 -1 -2 -2 -3 -6",
+                HALF_UP: "6 3 2 1 1 -1 -1 -2 -3 -6",
+                HALF_DOWN: "5 2 2 1 1 -1 -1 -2 -2 -5",
+                HALF_EVEN: "6 2 2 1 1 -1 -1 -2 -2 -6"
+            };
+            Object.keys(expected).forEach(function (mode) {
+                values.map(function (value) {
+                    return BigDecimal(value).setScale(0, BigDecimal[mode]).val();
+                }).join(" ").should.equal(expected[mode]);
+            });
+        });
+
+        it('should set the scale', function () {
+            BigDecimal("1.5").setScale(3).val().should.equal("1.500");
+            BigDecimal("1.2345").setScale(2).val().should.equal("1.23");
+            BigDecimal("1.2355").setScale(3, "HALF_EVEN").val().should.equal("1.236");
+            BigDecimal("-0.001").setScale(2, "DOWN").val().should.equal("0.00");
+        });
+
+        it('should calculate square roots to a given scale', function () {
+            BigDecimal(2).sqrt({scale: 30}).val().should.equal("1.414213562373095048801688724210");
+            BigDecimal(2).sqrt({scale: 3, rounding: "UP"}).val().should.equal("1.415");
+            BigDecimal(2).sqrt({scale: 3, rounding: "DOWN"}).val().should.equal("1.414");
+            BigDecimal("0.0004").sqrt().val().should.equal("0.0200");
+            BigDecimal("6.25").sqrt({scale: 0, rounding: "HALF_EVEN"}).val().should.equal("2");
+            BigDecimal("6.25").sqrt({scale: 0, rounding: "HALF_UP"}).val().should.equal("3");
+            BigDecimal(0).sqrt().val().should.equal("0");
+        });
+
+        it('should compare regardless of scale', function () {
+            BigDecimal("1.50").equals("1.5").should.equal(true);
+            BigDecimal("1.5").lt("1.51").should.equal(true);
+            BigDecimal("-1.5").gt("-1.51").should.equal(true);
+            BigDecimal("2").gte("2.000").should.equal(true);
+            BigDecimal("0.000").isZero().should.equal(true);
+            BigDecimal("-2.5").abs().val().should.equal("2.5");
+            BigDecimal("2.5").negate().val().should.equal("-2.5");
+        });
+    });
+
+    describe('#errors', function () {
+        it('should fail invalid operations', function () {
+            BigDecimal(1).div(0).error.code.should.equal("DIVISION_BY_ZERO");
+            BigDecimal(-2).sqrt().error.code.should.equal("NEGATIVE_SQRT");
+            BigDecimal(1).div(3, {scale: -1}).error.code.should.equal("INVALID_ARGUMENT");
+            BigDecimal(1).div(3, {rounding: "NEAREST"}).error.code.should.equal("INVALID_ARGUMENT");
+            BigDecimal(1).setScale(1.5).error.code.should.equal("INVALID_ARGUMENT");
+        });
+
+        it('should propagate the invalid state', function () {
+            var invalid = BigDecimal("x");
+            BigDecimal(1).add(invalid).isNaN().should.equal(true);
+            BigDecimal(1).multiply(invalid).val().should.equal("NaN");
+            invalid.setScale(2).isNaN().should.equal(true);
+            BigDecimal(1).equals(invalid).should.equal(false);
+        });
+
+        it('should throw in throw mode', function () {
+            BigNumber.config({errorMode: 'throw'});
+            try {
+                (function () { BigDecimal(1).div(0); }).should.throw(/Division By Zero/);
+                (function () { BigDecimal("x"); }).should.throw(/Invalid Number/);
+            } finally {
+                BigNumber.config({errorMode: 'nan'});
+            }
+        });
+    });
+
+    describe('#immutable mode', function () {
+        before(function () {
+            BigNumber.config({immutable: true});
+        });
+
+        after(function () {
+            BigNumber.config({immutable: false});
+        });
+
+        it('should leave the operands unchanged', function () {
+            var a = BigDecimal("1.5");
+            a.add("2.25").val().should.equal("3.75");
+            a.div(7, {scale: 3}).val().should.equal("0.214");
+            a.setScale(3).val().should.equal("1.500");
+            a.val().should.equal("1.5");
+        });
+    });
+});
@@ -0,0 +1,116 @@
+/*
+ * written with Mocha Framework
+*/
+should = require('should');
+BigNumber = require('../');
+BigFraction = BigNumber.BigFraction;
+
+describe('BigFraction', function () {
+    describe('#initialization', function () {
+        it('should parse fractions and keep them reduced', function () {
+            BigFraction("3/4").val().should.equal("3/4");
+            BigFraction("6/8").val().should.equal("3/4");
+            BigFraction("6/-8").val().should.equal("-3/4");
+            BigFraction("-6/-8").val().should.equal("3/4");
+            BigFraction("0/5").val().should.equal("0");
+            BigFraction("10/5").val().should.equal("2");
+            BigFraction(6, -8).val().should.equal("-3/4");
+            BigFraction("1/2", "3/4").val().should.equal("2/3");
+            BigFraction("6/-8").denominator.val().should.equal("4");
+        });
+
+        it('should parse decimals with repeating digits', function () {
+            BigFraction("1.25").val().should.equal("5/4");
+            BigFraction("-0.5").val().should.equal("-1/2");
+            BigFraction("0.(3)").val().should.equal("1/3");
+            BigFraction("0.1(6)").val().should.equal("1/6");
+            BigFraction("3.(142857)").val().should.equal("22/7");
+            BigFraction("0.(9)").val().should.equal("1");
+            BigFraction("1.2e-3").val().should.equal("3/2500");
+            BigFraction("1.5e2").val().should.equal("150");
+        });
+
+        it('should create fractions from other objects', function () {
+            BigFraction(0.1).val().should.equal("1/10");
+            BigFraction(-7).val().should.equal("-7");
+            BigFraction(BigNumber("123456789012345678901234567890")).val().should.equal("123456789012345678901234567890");
+            var a = BigFraction("2/3");
+            var b = BigFraction(a);
+            b.should.not.equal(a);
+            b.val().should.equal("2/3");
+            BigFraction().val().should.equal("0");
+        });
+
+        it('should reject invalid fractions', function () {
+            BigFraction("1/0").error.code.should.equal("DIVISION_BY_ZERO");
+            ["abc", "1/", "/2", "1/2/3", "0.(3", "0.()", "1.5/2"].forEach(function (string) {
+                BigFraction(string).error.code.should.equal("INVALID");
+            });
+        });
+    });
+
+    describe('#arithmetic', function () {
+        it('should add, subtract, multiply and divide exactly', function () {
+            BigFraction("1/3").add("1/6").val().should.equal("1/2");
+            BigFraction("1/3").minus("1/2").val().should.equal("-1/6");
+            BigFraction("2/3").multiply("9/4").val().should.equal("3/2");
+            BigFraction("2/3").div("4/9").val().should.equal("3/2");
+            BigFraction("2/3").div(0).error.code.should.equal("DIVISION_BY_ZERO");
+            BigFraction(1).div(3).mult(3).val().should.equal("1");
+        });
+
+        it('should raise to integer powers', function () {
+            BigFraction("2/3").pow(3).val().should.equal("8/27");
+            BigFraction("-2/3").pow(-2).val().should.equal("9/4");
+            BigFraction("-2/3").pow(-3).val().should.equal("-27/8");
+            BigFraction("5/7").pow(0).val().should.equal("1");
+            BigFraction(0).pow(-1).error.code.should.equal("DIVISION_BY_ZERO");
+            BigFraction(2).pow(0.5).error.code.should.equal("INVALID_ARGUMENT");
+        });
+
+        it('should compare fractions', function () {
+            BigFraction("1/3").lt("1/2").should.equal(true);
+            BigFraction("-1/3").gt("-1/2").should.equal(true);
+            BigFraction("2/4").equals("0.5").should.equal(true);
+            BigFraction("2/4").lte("1/2").should.equal(true);
+            BigFraction("4/2").isInteger().should.equal(true);
+            BigFraction("0/3").isZero().should.equal(true);
+            BigFraction("2/3").inverse().val().should.equal("3/2");
+            BigFraction("-2/3").abs().val().should.equal("2/3");
+            BigFraction("x").equals("x").should.equal(false);
+        });
+    });
+
+    describe('#conversion', function () {
+        it('should print decimals exactly or to a number of digits', function () {
+            BigFraction("1/6").toDecimal().should.equal("0.1(6)");
+            BigFraction("-22/7").toDecimal().should.equal("-3.(142857)");
+            BigFraction("1/81").toDecimal().should.equal("0.(012345679)");
+            BigFraction("1/8").toDecimal().should.equal("0.125");
+            BigFraction("5").toDecimal().should.equal("5");
+            BigFraction("1/3").toDecimal(5).should.equal("0.33333");
+            BigFraction("2/3").toDecimal(2).should.equal("0.67");
+            BigFraction("2/3").toDecimal(2, "DOWN").should.equal("0.66");
+            BigFraction(BigFraction("1/7").toDecimal()).val().should.equal("1/7");
+        });
+
+        it('should expand continued fractions', function () {
+            BigFraction("415/93").toContinuedFraction().join().should.equal("4,2,6,7");
+            BigFraction("-415/93").toContinuedFraction().join().should.equal("-5,1,1,6,7");
+            BigFraction("3").toContinuedFraction().join().should.equal("3");
+            BigFraction.fromContinuedFraction([4, 2, 6, 7]).val().should.equal("415/93");
+            BigFraction.fromContinuedFraction([-5, 1, 1, 6, 7]).val().should.equal("-415/93");
+            BigFraction("415/93").convergents().join(" ").should.equal("4 9/2 58/13 415/93");
+        });
+
+        it('should find best rational approximations', function () {
+            var pi = BigFraction("3.141592653589793");
+            BigFraction(pi).limitDenominator(1000).val().should.equal("355/113");
+            BigFraction(pi).limitDenominator(100).val().should.equal("311/99");
+            BigFraction(pi).limitDenominator(10).val().should.equal("22/7");
+            BigFraction("-1/3").limitDenominator(2).val().should.equal("-1/2");
+            BigFraction("3/7").limitDenominator(7).val().should.equal("3/7");
+            BigFraction("1/2").limitDenominator(0).error.code.should.equal("INVALID_ARGUMENT");
+        });
+    });
+});
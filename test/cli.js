@@ -0,0 +1,47 @@
+/*
+ * written with Mocha Framework
+*/
+should = require('should');
+var childProcess = require('child_process');
+var path = require('path');
+
+var bignum = path.join(__dirname, '..', 'bin', 'bignum');
+
+// Runs the calculator with the arguments (and the input piped in on stdin), returning its output and status
+var run = function (args, input) {
+    var result = childProcess.spawnSync(process.execPath, [bignum].concat(args), {input: input || '', encoding: 'utf8'});
+    return {stdout: result.stdout, stderr: result.stderr, status: result.status};
+};
+
+describe('bignum', function () {
+    this.timeout(10000);
+
+    it('should evaluate the expressions given as arguments', function () {
+        var result = run(["2^100", "x = 7", "x * _", "-5 + 1"]);
+        result.stdout.should.equal("1267650600228229401496703205376\n7\n49\n-4\n");
+        result.status.should.equal(0);
+    });
+
+    it('should evaluate the lines piped in on stdin', function () {
+        var result = run([], "n = 10\n# a comment\n\nn^n\nn^n > 10^9\n");
+        result.stdout.should.equal("10\n10000000000\ntrue\n");
+        result.status.should.equal(0);
+    });
+
+    it('should format the results', function () {
+        run(["-r", "16", "255", "2^64"]).stdout.should.equal("ff\n10000000000000000\n");
+        run(["--format", "2^64"]).stdout.should.equal("18,446,744,073,709,551,616\n");
+        run(["-e", "3", "3^100"]).stdout.should.equal("5.154e+47\n");
+    });
+
+    it('should report errors', function () {
+        var result = run(["1 / 0", "1 +", "2"]);
+        result.stdout.should.equal("2\n");
+        result.stderr.should.match(/Division By Zero/);
+        result.stderr.should.match(/at position 3/);
+        result.status.should.equal(1);
+        run(["a = 1 < 2"]).stderr.should.match(/Only numbers can be assigned/);
+        run(["--radix", "40", "1"]).status.should.equal(2);
+        run(["--help"]).stdout.should.match(/^Usage: bignum/);
+    });
+});
@@ -0,0 +1,116 @@
+/*
+ * written with Mocha Framework
+*/
+should = require('should');
+BigNumber = require('../');
+
+describe('BigNumber.evaluate', function () {
+    describe('#evaluation', function () {
+        it('should evaluate formulas with variables', function () {
+            var x = BigNumber(1000), y = BigNumber(1000000);
+            BigNumber.evaluate("(2^127 - 1) % x + sqrt(y)", {x: x, y: y}).val().should.equal("1727");
+            x.val().should.equal("1000");
+            y.val().should.equal("1000000");
+            BigNumber.evaluate("a * b - c", {a: "123456789012345678901234567890", b: 3, c: BigNumber(10)}).val()
+                .should.equal("370370367037037036703703703660");
+            BigNumber.evaluate("42").val().should.equal("42");
+        });
+
+        it('should follow precedence and associativity', function () {
+            BigNumber.evaluate("1 + 2 * 3").val().should.equal("7");
+            BigNumber.evaluate("(1 + 2) * 3").val().should.equal("9");
+            BigNumber.evaluate("7 - 3 - 2").val().should.equal("2");
+            BigNumber.evaluate("100 / 7 / 2").val().should.equal("7");
+            BigNumber.evaluate("2^3^2").val().should.equal("512");
+            BigNumber.evaluate("-2^2").val().should.equal("-4");
+            BigNumber.evaluate("- -3").val().should.equal("3");
+            BigNumber.evaluate("-7 % 3").val().should.equal("-1");
+            BigNumber.evaluate("-7 / 2").val().should.equal("-3");
+            BigNumber.evaluate("0xff + 1.5e3").val().should.equal("1755");
+        });
+
+        it('should call functions', function () {
+            BigNumber.evaluate("abs(-5) + sqrt(101)").val().should.equal("15");
+            BigNumber.evaluate("gcd(12, 18) * lcm(4, 6)").val().should.equal("72");
+            BigNumber.evaluate("min(3, x) + max(x, -1)", {x: 2}).val().should.equal("4");
+        });
+
+        it('should compare', function () {
+            BigNumber.evaluate("a * b >= 6", {a: 2, b: 3}).should.equal(true);
+            BigNumber.evaluate("2^64 < 2^63").should.equal(false);
+            BigNumber.evaluate("10 / 3 == 3").should.equal(true);
+            BigNumber.evaluate("1 != 1").should.equal(false);
+            BigNumber.evaluate("x == x", {x: "abc"}).should.equal(false);
+            BigNumber.evaluate("x != x", {x: "abc"}).should.equal(true);
+        });
+
+        it('should propagate invalid numbers', function () {
+            BigNumber.evaluate("1 / 0 + 1").error.code.should.equal("DIVISION_BY_ZERO");
+            BigNumber.evaluate("2 ^ (1 / 0)").error.code.should.equal("DIVISION_BY_ZERO");
+            BigNumber.evaluate("sqrt(-4)").error.code.should.equal("NEGATIVE_SQRT");
+            BigNumber.evaluate("2^-1").error.code.should.equal("INVALID_ARGUMENT");
+            BigNumber.evaluate("x + 1", {x: "abc"}).isNaN().should.equal(true);
+        });
+    });
+
+    describe('#errors', function () {
+        it('should report syntax errors with their position', function () {
+            var errors = {
+                "(1 + 2": 6,
+                "1 +": 3,
+                "2 $ 3": 2,
+                "1.5 + 1": 0,
+                "foo(1)": 0,
+                "sqrt(1, 2)": 9,
+                "1 2": 2,
+                ")": 0,
+                "1 < 2 < 3": 6,
+                "": 0
+            };
+            Object.keys(errors).forEach(function (formula) {
+                try {
+                    BigNumber.evaluate(formula);
+                    should.fail("no error for " + formula);
+                } catch (error) {
+                    error.should.be.an.instanceOf(BigNumber.BigNumberError);
+                    error.code.should.equal("SYNTAX");
+                    error.position.should.equal(errors[formula]);
+                    error.message.should.match(/at position/);
+                }
+            });
+        });
+
+        it('should report invalid numbers as syntax errors in throw mode', function () {
+            BigNumber.config({errorMode: "throw"});
+            try {
+                BigNumber.evaluate("2 * 0x");
+                should.fail("no error for an invalid number");
+            } catch (error) {
+                error.code.should.equal("SYNTAX");
+                error.position.should.equal(4);
+                error.message.should.equal("Invalid number '0x' at position 4");
+            } finally {
+                BigNumber.config({errorMode: "nan"});
+            }
+        });
+
+        it('should reject unknown variables and invalid formulas', function () {
+            (function () { BigNumber.evaluate("x + 1"); }).should.throw(/Unknown variable: x/);
+            (function () { BigNumber.evaluate("x + 1", {y: 1}); }).should.throw(/Unknown variable: x/);
+            (function () { BigNumber.evaluate(42); }).should.throw(/Invalid formula/);
+        });
+    });
+
+    describe('#compile', function () {
+        it('should return a reusable function', function () {
+            var triangle = BigNumber.compile("n * (n + 1) / 2");
+            triangle({n: 100}).val().should.equal("5050");
+            triangle({n: "100000000000000000000"}).val().should.equal("5000000000000000000050000000000000000000");
+            triangle({n: -1}).val().should.equal("0");
+        });
+
+        it('should report syntax errors when compiling', function () {
+            (function () { BigNumber.compile("n * (n + 1"); }).should.throw(/Expected '\)'/);
+        });
+    });
+});
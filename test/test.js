@@ -4,325 +4,1791 @@
 should = require('should');
 BigNumber = require('../');
 
-describe('BigNumber.js', function () {
-    describe('#initialization', function () {
-        it('should create a big number from a number', function () {
-            BigNumber(7321).divide(153).val().should.equal("47");
-            BigNumber(517).val().should.equal("517");
-            BigNumber(-517).val().should.equal("-517");
-            BigNumber(BigNumber(517)).val().should.equal("517");
+// The suite runs against the default constructor and against clones with small limb bases, for which the tests of
+// huge numbers are skipped (they would take minutes with so many more elements) and the others given more time
+[BigNumber, BigNumber.clone({base: 10}), BigNumber.clone({base: 2})].forEach(function (BigNumber, index) {
+    var heavy = index ? it.skip : it;
+
+    describe('BigNumber.js (base ' + BigNumber.base + ')', function () {
+        if (index) this.timeout(10000);
+
+        describe('#initialization', function () {
+            it('should create a big number from a number', function () {
+                BigNumber(7321).divide(153).val().should.equal("47");
+                BigNumber(517).val().should.equal("517");
+                BigNumber(-517).val().should.equal("-517");
+                BigNumber(BigNumber(517)).val().should.equal("517");
+            });
+
+            it('should create a big number from an array', function () {
+                BigNumber([5,1,7]).val().should.equal("517");
+                BigNumber(["+",5,1,7]).val().should.equal("517");
+                BigNumber(["-",5,1,7]).val().should.equal("-517");
+            });
+
+            it('should create a big number from another big number', function () {
+                BigNumber(BigNumber(517)).val().should.equal("517");
+                BigNumber(BigNumber(-517)).val().should.equal("-517");
+            });
+
+            it('should create positive or negative numbers from string', function () {
+                BigNumber(517).sign.should.equal(1);
+                BigNumber(-517).sign.should.equal(-1);
+            });
+
+            it('should create positive or negative numbers from array', function () {
+                BigNumber(["+",5,1,7]).sign.should.equal(1);
+                BigNumber(["-",5,1,7]).sign.should.equal(-1);
+            });
+
+            it('should throw error at object creation', function () {
+                BigNumber("51s7").val().should.equal("NaN");
+                BigNumber([5, 14, 7, 9]).val().should.equal("NaN");
+                BigNumber([5, 2, "s", 9]).val().should.equal("NaN");
+                BigNumber("5s17").val().should.equal("NaN");
+                BigNumber([5,"s",1,7]).val().should.equal("NaN");
+                BigNumber("51s7").isNaN().should.equal(true);
+                BigNumber("51s7").error.code.should.equal("INVALID");
+            });
+
+            it('should not modify the array it is given', function () {
+                var digits = ["-", 5, 1, 7];
+                BigNumber(digits).val().should.equal("-517");
+                digits.should.eql(["-", 5, 1, 7]);
+            });
+
+            it('should reject empty strings and booleans', function () {
+                BigNumber().val().should.equal("0");
+                BigNumber(null).val().should.equal("0");
+                BigNumber("").error.code.should.equal("INVALID");
+                BigNumber([]).error.code.should.equal("INVALID");
+                BigNumber(false).error.code.should.equal("INVALID");
+                BigNumber(true).error.code.should.equal("INVALID");
+            });
+
+            it('should reject a sign without digits and never make a negative zero', function () {
+                BigNumber("-").error.code.should.equal("INVALID");
+                BigNumber("+").error.code.should.equal("INVALID");
+                BigNumber(["-"]).error.code.should.equal("INVALID");
+                BigNumber("-0").val().should.equal("0");
+                BigNumber("-0").sign.should.equal(1);
+                BigNumber(["-", 0, 0]).sign.should.equal(1);
+            });
         });
 
-        it('should create a big number from an array', function () {
-            BigNumber([5,1,7]).val().should.equal("517");
-            BigNumber(["+",5,1,7]).val().should.equal("517");
-            BigNumber(["-",5,1,7]).val().should.equal("-517");
+        describe('#compare()', function () {
+            it('should compare 2 numbers', function () {
+                BigNumber(517)._compare().should.equal(0);
+                BigNumber(517)._compare(5170).should.equal(-1);
+                BigNumber(517)._compare(65).should.equal(1);
+                BigNumber(517)._compare(925).should.equal(-1);
+                BigNumber(29100517)._compare(-32500000).should.equal(1);
+                BigNumber(["-",5,3,7,9,4,6])._compare(985).should.equal(-1);
+                BigNumber(9773)._compare(9773).should.equal(0);
+                BigNumber(199773)._compare(199774).should.equal(-1);
+                BigNumber(199773)._compare(199772).should.equal(1);
+                BigNumber(1)._compare(-2).should.equal(1);
+                BigNumber(-24)._compare(-24).should.equal(0);
+                BigNumber(-5)._compare(-4).should.equal(-1);
+                BigNumber(-97)._compare(-12).should.equal(-1);
+                BigNumber(-97)._compare(-102).should.equal(1);
+                BigNumber(0)._compare(0).should.equal(0);
+                BigNumber(97)._compare(0).should.equal(1);
+                BigNumber(-97)._compare(0).should.equal(-1);
+            });
+
+            it('should test lt (less than)', function () {
+                BigNumber(517).lt(518).should.equal(true);
+                BigNumber(517).lt(517).should.equal(false);
+                BigNumber(517).lt(516).should.equal(false);
+                BigNumber(517).lt(516).should.equal(false);
+                BigNumber(517).lt(518).should.equal(true);
+                BigNumber(5).lt(33).should.equal(true);
+                BigNumber(-5).lt(3).should.equal(true);
+                BigNumber(-5).lt(-3).should.equal(true);
+                BigNumber(-5).lt(3).should.equal(true);
+                BigNumber(-5).lt(-7).should.equal(false);
+                BigNumber(-5).lt(-5).should.equal(false);
+            });
+
+            it('should test lte (less or equal than)', function () {
+                BigNumber(517).lte(-517).should.equal(false);
+                BigNumber(517).lte(517).should.equal(true);
+                BigNumber(517).lte(518).should.equal(true);
+                BigNumber(-5).lte(5).should.equal(true);
+                BigNumber(-5).lte(-5).should.equal(true);
+                BigNumber(2).lte(-5).should.equal(false);
+            });
+
+            it('should test equals', function () {
+                BigNumber(517).equals(516).should.equal(false);
+                BigNumber(-9).equals(-9).should.equal(true);
+                BigNumber(-9).equals(-91).should.equal(false);
+                BigNumber(517).equals(517).should.equal(true);
+            });
+
+            it('should test gt (greater than)', function () {
+                BigNumber(517).gt(517).should.equal(false);
+                BigNumber(518).gt(517).should.equal(true);
+                BigNumber(516).gt(517).should.equal(false);
+                BigNumber(-1).gt(9).should.equal(false);
+                BigNumber(-7).gt(-9).should.equal(true);
+                BigNumber(0).gt(-9).should.equal(true);
+                BigNumber(-1).gt(-1).should.equal(false);
+                BigNumber(0).gt(0).should.equal(false);
+            });
+
+            it('should test gte (greater or equal than)', function () {
+                BigNumber(-517).gte(517).should.equal(false);
+                BigNumber(517).gte(517).should.equal(true);
+                BigNumber(-517).gte(517).should.equal(false);
+                BigNumber(-517).gte(-517).should.equal(true);
+                BigNumber(32).gte(17).should.equal(true);
+                BigNumber(32).gte(33).should.equal(false);
+            })
         });
 
-        it('should create a big number from another big number', function () {
-            BigNumber(BigNumber(517)).val().should.equal("517");
-            BigNumber(BigNumber(-517)).val().should.equal("-517");
+        describe('#plus()', function () {
+            it('should add 2 positive numbers', function () {
+                BigNumber(1).plus(0).val().should.equal("1");
+                BigNumber(1).plus(1).val().should.equal("2");
+                BigNumber(8).plus(8).val().should.equal("16");
+                BigNumber(27).plus(73).val().should.equal("100");
+                BigNumber(99).plus(10001).val().should.equal("10100");
+                BigNumber(517).plus().val().should.equal("517");
+                BigNumber(2).plus(BigNumber(5999)).val().should.equal("6001");
+                BigNumber(517).plus(0).val().should.equal("517");
+                BigNumber(517).plus(5).val().should.equal("522");
+                BigNumber(517).plus(925).val().should.equal("1442");
+                BigNumber(29100517).plus(925).val().should.equal("29101442");
+                BigNumber([5,3,7,9,4,6]).plus(985).val().should.equal("538931");
+                BigNumber(9773).plus(227).val().should.equal("10000");
+                BigNumber(199773).plus(227).val().should.equal("200000");
+            });
+
+            it('should add 2 numbers', function () {
+                BigNumber(1).plus(-1).val().should.equal("0");
+                BigNumber(1).plus(-7).val().should.equal("-6");
+                BigNumber(1).plus(-100).val().should.equal("-99");
+                BigNumber(-121).plus(-1).val().should.equal("-122");
+                BigNumber(-121).plus(22).val().should.equal("-99");
+                BigNumber(-121).plus(1105).val().should.equal("984");
+                BigNumber(-5).plus(-99).val().should.equal("-104");
+            });
         });
 
-        it('should create positive or negative numbers from string', function () {
-            BigNumber(517).sign.should.equal(1);
-            BigNumber(-517).sign.should.equal(-1);
+        describe('#minus()', function () {
+            it('should subtract 2 positive numbers obtaining a positive number', function () {
+                BigNumber(5).minus().val().should.equal("5");
+                BigNumber(5).minus(3).val().should.equal("2");
+                BigNumber(19).minus(17).val().should.equal("2");
+                BigNumber(57).minus(55).val().should.equal("2");
+                BigNumber(10000).minus(9999).val().should.equal("1");
+                BigNumber(10000).minus(10000).val().should.equal("0");
+                BigNumber(10000).minus(-10000).val().should.equal("20000");
+                BigNumber(10000).minus(999).val().should.equal("9001");
+                BigNumber(10000).minus(1).val().should.equal("9999");
+                BigNumber(2934).minus(999).val().should.equal("1935");
+                BigNumber(19).minus(0).val().should.equal("19");
+                BigNumber(10000).minus(227).val().should.equal("9773");
+                BigNumber(200000).minus(227).val().should.equal("199773");
+            });
+
+            it('should subtract 2 positive numbers obtaining a negative number', function () {
+                BigNumber(5).minus(33).val().should.equal("-28");
+                BigNumber(5).minus(104).val().should.equal("-99");
+                BigNumber(0).minus(101).val().should.equal("-101");
+            });
+
+            it('should subtract 2 numbers', function () {
+                BigNumber(55).minus(57).val().should.equal("-2");
+                BigNumber(5).minus(-33).val().should.equal("38");
+                BigNumber(-5).minus(98).val().should.equal("-103");
+                BigNumber(-33).minus(-5).val().should.equal("-28");
+                BigNumber(-33).minus(-33).val().should.equal("0");
+                BigNumber(-33).minus(-32).val().should.equal("-1");
+                BigNumber(-33).minus(-34).val().should.equal("1");
+                BigNumber(-5).minus(-33).val().should.equal("28");
+                BigNumber(-5).minus(-3).val().should.equal("-2");
+                BigNumber(-101).minus(-1010).val().should.equal("909");
+                BigNumber(-5).minus(99).val().should.equal("-104");
+                BigNumber(-5).minus(-15).val().should.equal("10");
+            });
         });
 
-        it('should create positive or negative numbers from array', function () {
-            BigNumber(["+",5,1,7]).sign.should.equal(1);
-            BigNumber(["-",5,1,7]).sign.should.equal(-1);
+        describe('#multiply()', function () {
+            it('should multiply 2 positive numbers', function () {
+                BigNumber(5).multiply(0).val().should.equal("0");
+                BigNumber(0).multiply(5).val().should.equal("0");
+                BigNumber(243).multiply(1).val().should.equal("243");
+                BigNumber(243).multiply(2).val().should.equal("486");
+                BigNumber(5).multiply(2).val().should.equal("10");
+                BigNumber(5).multiply(100).val().should.equal("500");
+                BigNumber(100).multiply(5).val().should.equal("500");
+                BigNumber(54325).multiply(543).val().should.equal("29498475");
+                BigNumber(1).multiply(100000).val().should.equal("100000");
+            });
+
+            it('should multiply 2 positive numbers', function () {
+                BigNumber(-5).multiply(0).val().should.equal("0");
+                BigNumber(-1).multiply(-1).val().should.equal("1");
+                BigNumber(5).multiply(-1).val().should.equal("-5");
+                BigNumber(-5).multiply(20).val().should.equal("-100");
+                BigNumber(17).multiply(-12).val().should.equal("-204");
+            });
         });
 
-        it('should throw error at object creation', function () {
-            BigNumber("51s7").val().should.equal("Invalid Number");
-            BigNumber([5, 14, 7, 9]).val().should.equal("Invalid Number");
-            BigNumber([5, 2, "s", 9]).val().should.equal("Invalid Number");
-            BigNumber("5s17").val().should.equal("Invalid Number");
-            BigNumber([5,"s",1,7]).val().should.equal("Invalid Number");
+        describe('#divide()', function () {
+            it('should divide 2 positive numbers', function () {
+                BigNumber(5).divide(0).val().should.equal("NaN");
+                BigNumber(5).divide(0).error.code.should.equal("DIVISION_BY_ZERO");
+                BigNumber(5).divide(1).val().should.equal("5");
+                BigNumber(99).divide(5).val().should.equal("19");
+                BigNumber(7321).divide(153).val().should.equal("47");
+                BigNumber(919).divide(153).val().should.equal("6");
+            });
+
+            it('should divide 2 numbers', function () {
+                BigNumber(-5).divide(1).val().should.equal("-5");
+                BigNumber(-5).divide(-1).val().should.equal("5");
+                BigNumber(5).divide(-1).val().should.equal("-5");
+                BigNumber(9).divide(2).val().should.equal("4");
+                BigNumber(17).divide(5).val().should.equal("3");
+                BigNumber(10).divide(2).val().should.equal("5");
+                BigNumber(-50).divide(-10).val().should.equal("5");
+                BigNumber(-50).divide(39).val().should.equal("-1");
+                BigNumber(99).divide(5).val().should.equal("19");
+                BigNumber(100).divide(5).val().should.equal("20");
+                BigNumber(101).divide(5).val().should.equal("20");
+                BigNumber(104).divide(5).val().should.equal("20");
+                BigNumber(-17).divide(-9).val().should.equal("1");
+                BigNumber(-17).divide(3).val().should.equal("-5");
+                BigNumber(99).divide(-17).val().should.equal("-5");
+                BigNumber(-1).divide(3).val().should.equal("0");
+            });
+
+            it('should return the division rest', function () {
+                BigNumber(7321).divide(153).rest.val().should.equal("130");
+                BigNumber(3).divide(2).rest.val().should.equal("1");
+                BigNumber(9).divide(3).rest.val().should.equal("0");
+                BigNumber(93).divide(21).rest.val().should.equal("9");
+                BigNumber(100).divide(53).rest.val().should.equal("47");
+            });
         });
-    });
 
-    describe('#compare()', function () {
-        it('should compare 2 numbers', function () {
-            BigNumber(517)._compare().should.equal(0);
-            BigNumber(517)._compare(5170).should.equal(-1);
-            BigNumber(517)._compare(65).should.equal(1);
-            BigNumber(517)._compare(925).should.equal(-1);
-            BigNumber(29100517)._compare(-32500000).should.equal(1);
-            BigNumber(["-",5,3,7,9,4,6])._compare(985).should.equal(-1);
-            BigNumber(9773)._compare(9773).should.equal(0);
-            BigNumber(199773)._compare(199774).should.equal(-1);
-            BigNumber(199773)._compare(199772).should.equal(1);
-            BigNumber(1)._compare(-2).should.equal(1);
-            BigNumber(-24)._compare(-24).should.equal(0);
-            BigNumber(-5)._compare(-4).should.equal(-1);
-            BigNumber(-97)._compare(-12).should.equal(-1);
-            BigNumber(-97)._compare(-102).should.equal(1);
-            BigNumber(0)._compare(0).should.equal(0);
-            BigNumber(97)._compare(0).should.equal(1);
-            BigNumber(-97)._compare(0).should.equal(-1);
-        });
-
-        it('should test lt (less than)', function () {
-            BigNumber(517).lt(518).should.equal(true);
-            BigNumber(517).lt(517).should.equal(false);
-            BigNumber(517).lt(516).should.equal(false);
-            BigNumber(517).lt(516).should.equal(false);
-            BigNumber(517).lt(518).should.equal(true);
-            BigNumber(5).lt(33).should.equal(true);
-            BigNumber(-5).lt(3).should.equal(true);
-            BigNumber(-5).lt(-3).should.equal(true);
-            BigNumber(-5).lt(3).should.equal(true);
-            BigNumber(-5).lt(-7).should.equal(false);
-            BigNumber(-5).lt(-5).should.equal(false);
-        });
-
-        it('should test lte (less or equal than)', function () {
-            BigNumber(517).lte(-517).should.equal(false);
-            BigNumber(517).lte(517).should.equal(true);
-            BigNumber(517).lte(518).should.equal(true);
-            BigNumber(-5).lte(5).should.equal(true);
-            BigNumber(-5).lte(-5).should.equal(true);
-            BigNumber(2).lte(-5).should.equal(false);
-        });
-
-        it('should test equals', function () {
-            BigNumber(517).equals(516).should.equal(false);
-            BigNumber(-9).equals(-9).should.equal(true);
-            BigNumber(-9).equals(-91).should.equal(false);
-            BigNumber(517).equals(517).should.equal(true);
-        });
-
-        it('should test gt (greater than)', function () {
-            BigNumber(517).gt(517).should.equal(false);
-            BigNumber(518).gt(517).should.equal(true);
-            BigNumber(516).gt(517).should.equal(false);
-            BigNumber(-1).gt(9).should.equal(false);
-            BigNumber(-7).gt(-9).should.equal(true);
-            BigNumber(0).gt(-9).should.equal(true);
-            BigNumber(-1).gt(-1).should.equal(false);
-            BigNumber(0).gt(0).should.equal(false);
-        });
-
-        it('should test gte (greater or equal than)', function () {
-            BigNumber(-517).gte(517).should.equal(false);
-            BigNumber(517).gte(517).should.equal(true);
-            BigNumber(-517).gte(517).should.equal(false);
-            BigNumber(-517).gte(-517).should.equal(true);
-            BigNumber(32).gte(17).should.equal(true);
-            BigNumber(32).gte(33).should.equal(false);
-        })
-    });
+        describe('#sqrt()', function () {
+            it('should square root numbers', function () {
+                BigNumber(-500).sqrt().val().should.equal("NaN");
+                BigNumber(-500).sqrt().error.code.should.equal("NEGATIVE_SQRT");
+                BigNumber(0).sqrt().val().should.equal("0");
+                BigNumber(1).sqrt().val().should.equal("1");
+                BigNumber(9).sqrt().val().should.equal("3");
+                BigNumber(58583716).sqrt().val().should.equal("7654");
+                BigNumber(2318785835536).sqrt().val().should.equal("1522756");
+                BigNumber(1234567890).sqrt().val().should.equal("35136");
+                BigNumber(123123).sqrt().val().should.equal("350");
+            });
 
-    describe('#plus()', function () {
-        it('should add 2 positive numbers', function () {
-            BigNumber(1).plus(0).val().should.equal("1");
-            BigNumber(1).plus(1).val().should.equal("2");
-            BigNumber(8).plus(8).val().should.equal("16");
-            BigNumber(27).plus(73).val().should.equal("100");
-            BigNumber(99).plus(10001).val().should.equal("10100");
-            BigNumber(517).plus().val().should.equal("517");
-            BigNumber(2).plus(BigNumber(5999)).val().should.equal("6001");
-            BigNumber(517).plus(0).val().should.equal("517");
-            BigNumber(517).plus(5).val().should.equal("522");
-            BigNumber(517).plus(925).val().should.equal("1442");
-            BigNumber(29100517).plus(925).val().should.equal("29101442");
-            BigNumber([5,3,7,9,4,6]).plus(985).val().should.equal("538931");
-            BigNumber(9773).plus(227).val().should.equal("10000");
-            BigNumber(199773).plus(227).val().should.equal("200000");
-        });
-
-        it('should add 2 numbers', function () {
-            BigNumber(1).plus(-1).val().should.equal("0");
-            BigNumber(1).plus(-7).val().should.equal("-6");
-            BigNumber(1).plus(-100).val().should.equal("-99");
-            BigNumber(-121).plus(-1).val().should.equal("-122");
-            BigNumber(-121).plus(22).val().should.equal("-99");
-            BigNumber(-121).plus(1105).val().should.equal("984");
-            BigNumber(-5).plus(-99).val().should.equal("-104");
+            it('should round down just below squares', function () {
+                BigNumber(99).sqrt().val().should.equal("9");
+                BigNumber(3).sqrt().val().should.equal("1");
+                BigNumber(10).pow(40).subtract(1).sqrt().val().should.equal("99999999999999999999");
+                BigNumber(2).pow(130).sqrt().equals(BigNumber(2).pow(65)).should.equal(true);
+            });
         });
-    });
 
-    describe('#minus()', function () {
-        it('should subtract 2 positive numbers obtaining a positive number', function () {
-            BigNumber(5).minus().val().should.equal("5");
-            BigNumber(5).minus(3).val().should.equal("2");
-            BigNumber(19).minus(17).val().should.equal("2");
-            BigNumber(57).minus(55).val().should.equal("2");
-            BigNumber(10000).minus(9999).val().should.equal("1");
-            BigNumber(10000).minus(10000).val().should.equal("0");
-            BigNumber(10000).minus(-10000).val().should.equal("20000");
-            BigNumber(10000).minus(999).val().should.equal("9001");
-            BigNumber(10000).minus(1).val().should.equal("9999");
-            BigNumber(2934).minus(999).val().should.equal("1935");
-            BigNumber(19).minus(0).val().should.equal("19");
-            BigNumber(10000).minus(227).val().should.equal("9773");
-            BigNumber(200000).minus(227).val().should.equal("199773");
-        });
-
-        it('should subtract 2 positive numbers obtaining a negative number', function () {
-            BigNumber(5).minus(33).val().should.equal("-28");
-            BigNumber(5).minus(104).val().should.equal("-99");
-            BigNumber(0).minus(101).val().should.equal("-101");
-        });
-
-        it('should subtract 2 numbers', function () {
-            BigNumber(55).minus(57).val().should.equal("-2");
-            BigNumber(5).minus(-33).val().should.equal("38");
-            BigNumber(-5).minus(98).val().should.equal("-103");
-            BigNumber(-33).minus(-5).val().should.equal("-28");
-            BigNumber(-33).minus(-33).val().should.equal("0");
-            BigNumber(-33).minus(-32).val().should.equal("-1");
-            BigNumber(-33).minus(-34).val().should.equal("1");
-            BigNumber(-5).minus(-33).val().should.equal("28");
-            BigNumber(-5).minus(-3).val().should.equal("-2");
-            BigNumber(-101).minus(-1010).val().should.equal("909");
-            BigNumber(-5).minus(99).val().should.equal("-104");
-            BigNumber(-5).minus(-15).val().should.equal("10");
+        describe('roots and logarithms', function () {
+            it('should take integer roots', function () {
+                BigNumber(27).nthRoot(3).val().should.equal("3");
+                BigNumber(26).nthRoot(3).val().should.equal("2");
+                BigNumber(-27).nthRoot(3).val().should.equal("-3");
+                BigNumber(-26).nthRoot(3).val().should.equal("-2");
+                BigNumber(12345).nthRoot(1).val().should.equal("12345");
+                BigNumber(7).nthRoot(10).val().should.equal("1");
+                BigNumber(0).nthRoot(5).val().should.equal("0");
+                BigNumber("1000000000000000000000000000000").nthRoot(5).val().should.equal("1000000");
+                BigNumber(3).pow(100).nthRoot(10).val().should.equal("59049");
+                BigNumber(3).pow(100).subtract(1).nthRoot(10).val().should.equal("59048");
+                BigNumber(-16).nthRoot(4).error.code.should.equal("NEGATIVE_SQRT");
+                BigNumber(16).nthRoot(0).error.code.should.equal("INVALID_ARGUMENT");
+                BigNumber(16).nthRoot(1.5).error.code.should.equal("INVALID_ARGUMENT");
+            });
+
+            it('should give square roots with their remainders', function () {
+                var result = BigNumber(1000).sqrtRem();
+                result.root.val().should.equal("31");
+                result.remainder.val().should.equal("39");
+                result = BigNumber(10).pow(30).add(5).sqrtRem();
+                result.root.val().should.equal("1000000000000000");
+                result.remainder.val().should.equal("5");
+                var number = BigNumber(144);
+                number.sqrtRem().remainder.isZero().should.equal(true);
+                number.val().should.equal("144");
+                BigNumber(-4).sqrtRem().remainder.error.code.should.equal("NEGATIVE_SQRT");
+            });
+
+            it('should tell perfect squares and powers', function () {
+                [0, 1, 4, 144, "152415787532388367501905199875019052100"].forEach(function (number) {
+                    BigNumber(number).isPerfectSquare().should.equal(true);
+                });
+                [2, 3, 99, -4, "152415787532388367501905199875019052101"].forEach(function (number) {
+                    BigNumber(number).isPerfectSquare().should.equal(false);
+                });
+                [0, 1, -1, 8, -8, 32, -32, 1000, 1024, BigNumber(3).pow(77), BigNumber(-7).pow(25)].forEach(function (number) {
+                    BigNumber(number).isPerfectPower().should.equal(true);
+                });
+                [2, 6, 12, -4, -16, 1001, BigNumber(2).pow(100).add(1), BigNumber(6).pow(20).multiply(5)].forEach(function (number) {
+                    BigNumber(number).isPerfectPower().should.equal(false);
+                });
+                BigNumber("x").isPerfectSquare().should.equal(false);
+                BigNumber("x").isPerfectPower().should.equal(false);
+            });
+
+            it('should take exact integer logarithms', function () {
+                BigNumber(1).ilog2().should.equal(0);
+                BigNumber(1023).ilog2().should.equal(9);
+                BigNumber(1024).ilog2().should.equal(10);
+                BigNumber(2).pow(1000).ilog2().should.equal(1000);
+                BigNumber(1).ilog10().should.equal(0);
+                BigNumber(999).ilog10().should.equal(2);
+                BigNumber(1000).ilog10().should.equal(3);
+                BigNumber(10).pow(300).ilog10().should.equal(300);
+                BigNumber(10).pow(300).subtract(1).ilog10().should.equal(299);
+                BigNumber(0).ilog2().should.be.NaN;
+                BigNumber(-8).ilog10().should.be.NaN;
+            });
+
+            it('should count digits without converting the number', function () {
+                BigNumber(0).digitCount().should.equal(1);
+                BigNumber(-12345).digitCount().should.equal(5);
+                BigNumber(255).digitCount(16).should.equal(2);
+                BigNumber(256).digitCount(16).should.equal(3);
+                BigNumber(-8).digitCount(2).should.equal(4);
+                var number = BigNumber(7).pow(500);
+                number.digitCount().should.equal(number.toString().length);
+                number.digitCount(36).should.equal(number.toString(36).length);
+                BigNumber("x").digitCount().should.be.NaN;
+                (function () { BigNumber(5).digitCount(37); }).should.throw(/Invalid radix/);
+            });
         });
-    });
 
-    describe('#multiply()', function () {
-        it('should multiply 2 positive numbers', function () {
-            BigNumber(5).multiply(0).val().should.equal("0");
-            BigNumber(0).multiply(5).val().should.equal("0");
-            BigNumber(243).multiply(1).val().should.equal("243");
-            BigNumber(243).multiply(2).val().should.equal("486");
-            BigNumber(5).multiply(2).val().should.equal("10");
-            BigNumber(5).multiply(100).val().should.equal("500");
-            BigNumber(100).multiply(5).val().should.equal("500");
-            BigNumber(54325).multiply(543).val().should.equal("29498475");
-            BigNumber(1).multiply(100000).val().should.equal("100000");
-        });
-
-        it('should multiply 2 positive numbers', function () {
-            BigNumber(-5).multiply(0).val().should.equal("0");
-            BigNumber(-1).multiply(-1).val().should.equal("1");
-            BigNumber(5).multiply(-1).val().should.equal("-5");
-            BigNumber(-5).multiply(20).val().should.equal("-100");
-            BigNumber(17).multiply(-12).val().should.equal("-204");
+        describe('#mod()', function () {
+            it('should return the remainder of 2 numbers division', function () {
+                BigNumber(7321).mod(153).val().should.equal("130");
+                BigNumber(3).mod(2).val().should.equal("1");
+                BigNumber(9).mod(3).val().should.equal("0");
+                BigNumber(93).mod(21).val().should.equal("9");
+                BigNumber(100).mod(53).val().should.equal("47");
+            });
         });
-    });
 
-    describe('#divide()', function () {
-        it('should divide 2 positive numbers', function () {
-            BigNumber(5).divide(0).val().should.equal("Invalid Number - Division By Zero");
-            BigNumber(5).divide(1).val().should.equal("5");
-            BigNumber(99).divide(5).val().should.equal("19");
-            BigNumber(7321).divide(153).val().should.equal("47");
-            BigNumber(919).divide(153).val().should.equal("6");
-        });
-
-        it('should divide 2 numbers', function () {
-            BigNumber(-5).divide(1).val().should.equal("-5");
-            BigNumber(-5).divide(-1).val().should.equal("5");
-            BigNumber(5).divide(-1).val().should.equal("-5");
-            BigNumber(9).divide(2).val().should.equal("4");
-            BigNumber(17).divide(5).val().should.equal("3");
-            BigNumber(10).divide(2).val().should.equal("5");
-            BigNumber(-50).divide(-10).val().should.equal("5");
-            BigNumber(-50).divide(39).val().should.equal("-1");
-            BigNumber(99).divide(5).val().should.equal("19");
-            BigNumber(100).divide(5).val().should.equal("20");
-            BigNumber(101).divide(5).val().should.equal("20");
-            BigNumber(104).divide(5).val().should.equal("20");
-            BigNumber(-17).divide(-9).val().should.equal("1");
-            BigNumber(-17).divide(3).val().should.equal("-5");
-            BigNumber(99).divide(-17).val().should.equal("-5");
-        });
-
-        it('should return the division rest', function () {
-            BigNumber(7321).divide(153).rest.val().should.equal("130");
-            BigNumber(3).divide(2).rest.val().should.equal("1");
-            BigNumber(9).divide(3).rest.val().should.equal("0");
-            BigNumber(93).divide(21).rest.val().should.equal("9");
-            BigNumber(100).divide(53).rest.val().should.equal("47");
+        describe('#pow()', function () {
+            it('should raise a a number to a positive integer power', function () {
+                BigNumber(5).pow(0).val().should.equal("1");
+                BigNumber(5).pow(1).val().should.equal("5");
+                BigNumber(5).pow(4).val().should.equal("625");
+                BigNumber(1).pow(200).val().should.equal("1");
+                BigNumber(2).pow(2).val().should.equal("4");
+                BigNumber(2).pow(3).val().should.equal("8");
+                BigNumber(2).pow(4).val().should.equal("16");
+                BigNumber(2).pow(5).val().should.equal("32");
+                BigNumber(2).pow(6).val().should.equal("64");
+                BigNumber(2).pow(10).val().should.equal("1024");
+                BigNumber(2).pow(32).val().should.equal("4294967296");
+                BigNumber(4).pow(3).val().should.equal("64");
+                BigNumber(999999).pow(30).val().should.equal("999970000434995940027404857494593772964205852910692880044960372786493105240295422519882625422555240236493170372730045000692855852922964200593774857494027404995940000434999970000001");
+            });
         });
-    });
 
-    describe('#sqrt()', function () {
-        it('should square root numbers', function () {
-            BigNumber(-500).sqrt().val().should.equal("Invalid operation - Square root of a negative number");
-            BigNumber(0).sqrt().val().should.equal("0");
-            BigNumber(1).sqrt().val().should.equal("1");
-            BigNumber(9).sqrt().val().should.equal("3");
-            BigNumber(58583716).sqrt().val().should.equal("7654");
-            BigNumber(2318785835536).sqrt().val().should.equal("1522756");
-            BigNumber(1234567890).sqrt().val().should.equal("35136");
-            BigNumber(123123).sqrt().val().should.equal("350");
+        describe('#isZero()', function () {
+            it('should test if the big number is zero', function () {
+                BigNumber(517).isZero().should.equal(false);
+                BigNumber(0).isZero().should.equal(true);
+                BigNumber([0]).isZero().should.equal(true);
+                BigNumber([0,0]).isZero().should.equal(true);
+                BigNumber('000').isZero().should.equal(true);
+            });
         });
-    });
 
-    describe('#mod()', function () {
-        it('should return the remainder of 2 numbers division', function () {
-            BigNumber(7321).mod(153).val().should.equal("130");
-            BigNumber(3).mod(2).val().should.equal("1");
-            BigNumber(9).mod(3).val().should.equal("0");
-            BigNumber(93).mod(21).val().should.equal("9");
-            BigNumber(100).mod(53).val().should.equal("47");
+        describe('#abs()', function () {
+            it('should return absolute value of number', function () {
+                BigNumber(517).abs().val().should.equal("517");
+                BigNumber(-517).abs().val().should.equal("517");
+            });
         });
-    });
 
-    describe('#pow()', function () {
-        it('should raise a a number to a positive integer power', function () {
-            BigNumber(5).pow(0).val().should.equal("1");
-            BigNumber(5).pow(1).val().should.equal("5");
-            BigNumber(5).pow(4).val().should.equal("625");
-            BigNumber(1).pow(200).val().should.equal("1");
-            BigNumber(2).pow(2).val().should.equal("4");
-            BigNumber(2).pow(3).val().should.equal("8");
-            BigNumber(2).pow(4).val().should.equal("16");
-            BigNumber(2).pow(5).val().should.equal("32");
-            BigNumber(2).pow(6).val().should.equal("64");
-            BigNumber(2).pow(10).val().should.equal("1024");
-            BigNumber(2).pow(32).val().should.equal("4294967296");
-            BigNumber(4).pow(3).val().should.equal("64");
-            BigNumber(999999).pow(30).val().should.equal("999970000434995940027404857494593772964205852910692880044960372786493105240295422519882625422555240236493170372730045000692855852922964200593774857494027404995940000434999970000001");
+        describe('chainable tests', function () {
+            it('should test random chainable operations', function () {
+                var a = 1970485694, b = 153487287;
+                BigNumber(a).add(1).multiply(BigNumber(b).add(1)).multiply(BigNumber(a).add(2).add(BigNumber(b))).divide(2).val().should.equal("321191979129581791629406140");
+                BigNumber(5).plus(97).minus(53).plus(434).multiply(5435423).add(321453).multiply(21).div(2).val().should.equal("27569123001");
+            });
         });
-    });
 
-    describe('#isZero()', function () {
-        it('should test if the big number is zero', function () {
-            BigNumber(517).isZero().should.equal(false);
-            BigNumber(0).isZero().should.equal(true);
-            BigNumber([0]).isZero().should.equal(true);
-            BigNumber([0,0]).isZero().should.equal(true);
-            BigNumber('000').isZero().should.equal(true);
+        describe('very big numbers', function () {
+            it('should test main arithmetic on very large integers', function () {
+                var a=BigNumber("43216789895328312675790036721362674782378923750950234212368965373910384654");
+                var b=BigNumber("85764636478697019837453424264758699685764562524345456576868");
+                var x = BigNumber(a);
+                x.add(b).val().should.equal("43216789895328398440426515418382512235803188509649919976931489719366961522");
+                x = BigNumber(a);
+                x.minus(b).val().should.equal("43216789895328226911153558024342837328954658992250548447806441028453807786");
+                x = BigNumber(a);
+                x.multiply(b).val().should.equal("3706472275149059366968352499608225426876935061337924498923340460238964318011366196170940767807131779369992004353943009853967998583672");
+                x = BigNumber(a);
+                x.divide(b).val().should.equal("503899878431396");
+                x = BigNumber(a);
+                x.divide(b).rest.val().should.equal("13662369696833870468897163678348569097398678349966371836926");
+                x = BigNumber(a);
+                x.sqrt().val().should.equal("6573947816596075831356639591907217364");
+            });
         });
-    });
 
-    describe('#abs()', function () {
-        it('should return absolute value of number', function () {
-            BigNumber(517).abs().val().should.equal("517");
-            BigNumber(-517).abs().val().should.equal("517");
+        describe('#config()', function () {
+            it('should return the settings in force', function () {
+                BigNumber.config().immutable.should.equal(false);
+                BigNumber.config({}).immutable.should.equal(false);
+            });
+
+            it('should store results in the object operated on by default', function () {
+                var a = BigNumber(5), b = BigNumber(-7), c = BigNumber(3);
+                a.add(b).should.equal(a);
+                a.val().should.equal("-2");
+                b.val().should.equal("-7");
+                c.multiply(0).should.equal(c);
+                c.val().should.equal("0");
+                c = BigNumber(5);
+                c.power(0).should.equal(c);
+                c.val().should.equal("1");
+            });
         });
-    });
 
-    describe('chainable tests', function () {
-        it('should test random chainable operations', function () {
-            var a = 1970485694, b = 153487287;
-            BigNumber(a).add(1).multiply(BigNumber(b).add(1)).multiply(BigNumber(a).add(2).add(BigNumber(b))).divide(2).val().should.equal("321191979129581791629406140");
-            BigNumber(5).plus(97).minus(53).plus(434).multiply(5435423).add(321453).multiply(21).div(2).val().should.equal("27569123001");
+        describe('immutable mode', function () {
+            before(function () {
+                BigNumber.config({ immutable: true }).immutable.should.equal(true);
+            });
+
+            after(function () {
+                BigNumber.config({ immutable: false }).immutable.should.equal(false);
+            });
+
+            // Checks that an operation returns a new object sharing no state with its operands, which are left unchanged
+            function checkOperation(value, operation, argument, expected) {
+                var a = BigNumber(value), b = BigNumber(argument);
+                var result = a[operation](b);
+                result.val().should.equal(expected);
+                result.should.not.equal(a);
+                result.should.not.equal(b);
+                result.number.should.not.equal(a.number);
+                result.number.should.not.equal(b.number);
+                a.val().should.equal(BigNumber(value).val());
+                b.val().should.equal(BigNumber(argument).val());
+                a.sign.should.equal(BigNumber(value).sign);
+                b.sign.should.equal(BigNumber(argument).sign);
+            }
+
+            it('should not modify the operands of additions and subtractions', function () {
+                checkOperation(5, 'add', 7, "12");
+                checkOperation(5, 'add', -7, "-2");
+                checkOperation(-5, 'add', 7, "2");
+                checkOperation(-5, 'add', 5, "0");
+                checkOperation(5, 'subtract', 7, "-2");
+                checkOperation(5, 'subtract', -7, "12");
+                checkOperation(-5, 'subtract', -5, "0");
+                checkOperation("43216789895328312675790036721362674782378923750950234212368965373910384654", 'minus',
+                    "85764636478697019837453424264758699685764562524345456576868",
+                    "43216789895328226911153558024342837328954658992250548447806441028453807786");
+            });
+
+            it('should not modify the operands of multiplications', function () {
+                checkOperation(5, 'multiply', 7, "35");
+                checkOperation(-5, 'multiply', 0, "0");
+                checkOperation(0, 'multiply', 5, "0");
+                checkOperation(-5, 'mult', -7, "35");
+                checkOperation(5, 'multiply', 1, "5");
+            });
+
+            it('should not modify the operands of divisions', function () {
+                checkOperation(7321, 'divide', 153, "47");
+                checkOperation(-7321, 'divide', 1, "-7321");
+                checkOperation(0, 'divide', 7, "0");
+                checkOperation(7, 'divide', 7, "1");
+                checkOperation(7, 'divide', 8, "0");
+                checkOperation("43216789895328312675790036721362674782378923750950234212368965373910384654", 'div',
+                    "85764636478697019837453424264758699685764562524345456576868", "503899878431396");
+                checkOperation(7321, 'mod', 153, "130");
+            });
+
+            it('should not modify the operands of powers', function () {
+                checkOperation(5, 'power', 0, "1");
+                checkOperation(5, 'power', 1, "5");
+                checkOperation(-2, 'pow', 3, "-8");
+                checkOperation(999999, 'pow', 3, "999997000002999999");
+            });
+
+            it('should not modify the number of unary operations', function () {
+                var a = BigNumber(-517);
+                var result = a.abs();
+                result.val().should.equal("517");
+                result.should.not.equal(a);
+                a.val().should.equal("-517");
+
+                a = BigNumber(58583716);
+                result = a.sqrt();
+                result.val().should.equal("7654");
+                result.should.not.equal(a);
+                a.val().should.equal("58583716");
+
+                a = BigNumber(0);
+                result = a.sqrt();
+                result.should.not.equal(a);
+                a = BigNumber(5);
+                result = a.random(20);
+                result.should.not.equal(a);
+                a.val().should.equal("5");
+            });
+
+            it('should not modify a number operated on itself', function () {
+                var a = BigNumber(12345);
+                a.multiply(a).val().should.equal("152399025");
+                a.add(a).val().should.equal("24690");
+                a.subtract(a).val().should.equal("0");
+                a.divide(a).val().should.equal("1");
+                a.val().should.equal("12345");
+            });
+
+            it('should convert to and from strings', function () {
+                BigNumber("999970000434995940027404857494593772964205852910692880044960372786493105240295422519882625422555240236493170372730045000692855852922964200593774857494027404995940000434999970000001").val()
+                    .should.equal("999970000434995940027404857494593772964205852910692880044960372786493105240295422519882625422555240236493170372730045000692855852922964200593774857494027404995940000434999970000001");
+                BigNumber(5).plus(97).minus(53).plus(434).multiply(5435423).add(321453).multiply(21).div(2).val().should.equal("27569123001");
+            });
+        });
+
+        describe('errors', function () {
+            it('should tell valid from invalid numbers', function () {
+                BigNumber(5).isValid().should.equal(true);
+                BigNumber(5).isNaN().should.equal(false);
+                BigNumber("5x").isValid().should.equal(false);
+                BigNumber("5x").isNaN().should.equal(true);
+                BigNumber(5).div(0).isNaN().should.equal(true);
+                BigNumber(5).mod(0).isNaN().should.equal(true);
+                BigNumber(-5).sqrt().isNaN().should.equal(true);
+                BigNumber(5).pow(-1).error.code.should.equal("INVALID_ARGUMENT");
+                BigNumber(BigNumber("5x")).isNaN().should.equal(true);
+            });
+
+            it('should hold a BigNumberError with a machine readable code', function () {
+                var error = BigNumber(5).div(0).error;
+                error.should.be.an.instanceOf(BigNumber.BigNumberError);
+                error.should.be.an.instanceOf(Error);
+                error.name.should.equal("BigNumberError");
+                error.code.should.equal(BigNumber.BigNumberError.DIVISION_BY_ZERO);
+                error.message.should.equal("Invalid Number - Division By Zero");
+                (BigNumber(5).error === null).should.equal(true);
+            });
+
+            it('should propagate the invalid state through operations', function () {
+                var nan = BigNumber(1).div(0);
+                BigNumber(5).add(nan).isNaN().should.equal(true);
+                BigNumber(5).subtract(nan).isNaN().should.equal(true);
+                BigNumber(5).multiply(nan).isNaN().should.equal(true);
+                BigNumber(5).divide(nan).isNaN().should.equal(true);
+                BigNumber(5).mod(nan).isNaN().should.equal(true);
+                BigNumber(nan).add(5).isNaN().should.equal(true);
+                BigNumber(nan).multiply(0).isNaN().should.equal(true);
+                BigNumber(nan).divide(0).error.code.should.equal("DIVISION_BY_ZERO");
+                BigNumber(nan).pow(2).isNaN().should.equal(true);
+                BigNumber(nan).sqrt().isNaN().should.equal(true);
+                BigNumber(nan).abs().isNaN().should.equal(true);
+                BigNumber(nan).isZero().should.equal(false);
+                BigNumber(5).add(BigNumber("x")).error.code.should.equal("INVALID");
+            });
+
+            it('should make all comparisons with an invalid number false', function () {
+                var nan = BigNumber("x");
+                BigNumber(5).lt(nan).should.equal(false);
+                BigNumber(5).lte(nan).should.equal(false);
+                BigNumber(5).gt(nan).should.equal(false);
+                BigNumber(5).gte(nan).should.equal(false);
+                BigNumber(5).equals(nan).should.equal(false);
+                nan.equals(nan).should.equal(false);
+                nan.lt(5).should.equal(false);
+                nan.gte(5).should.equal(false);
+            });
+
+            describe('in throw mode', function () {
+                before(function () {
+                    BigNumber.config({ errorMode: 'throw' }).errorMode.should.equal('throw');
+                });
+
+                after(function () {
+                    BigNumber.config({ errorMode: 'nan' }).errorMode.should.equal('nan');
+                });
+
+                // Returns the error thrown by fn
+                function thrown(fn) {
+                    try {
+                        fn();
+                    } catch (e) {
+                        return e;
+                    }
+                    throw new Error('Nothing thrown');
+                }
+
+                it('should throw a BigNumberError', function () {
+                    thrown(function () { BigNumber("51s7"); }).code.should.equal("INVALID");
+                    thrown(function () { BigNumber(5).div(0); }).code.should.equal("DIVISION_BY_ZERO");
+                    thrown(function () { BigNumber(5).mod(0); }).code.should.equal("DIVISION_BY_ZERO");
+                    thrown(function () { BigNumber(-5).sqrt(); }).code.should.equal("NEGATIVE_SQRT");
+                    thrown(function () { BigNumber(5).pow(1.5); }).code.should.equal("INVALID_ARGUMENT");
+                    thrown(function () { BigNumber(5).div(0); }).should.be.an.instanceOf(BigNumber.BigNumberError);
+                });
+
+                it('should operate normally on valid numbers', function () {
+                    BigNumber(7321).divide(153).val().should.equal("47");
+                });
+            });
+
+            it('should reject an unknown error mode', function () {
+                (function () { BigNumber.config({ errorMode: 'ignore' }); }).should.throw(/errorMode/);
+                BigNumber.config().errorMode.should.equal('nan');
+            });
+        });
+
+        describe('radix', function () {
+            var decimal = "123456789012345678901234567890123456789";
+
+            it('should create numbers from strings in any radix', function () {
+                BigNumber("ff", 16).val().should.equal("255");
+                BigNumber("FF", 16).val().should.equal("255");
+                BigNumber("-101", 2).val().should.equal("-5");
+                BigNumber("17", 8).val().should.equal("15");
+                BigNumber("zz", 36).val().should.equal("1295");
+                BigNumber("120", 3).val().should.equal("15");
+                BigNumber("5hy8cqpp6qj5vz0m8iov0uej9", 36).val().should.equal(decimal);
+                BigNumber("17389b3b1b9dc1b6a6f39d5a3b4e6b3815", 16).val().should.equal("7901737211808763181931894005015958468629");
+                BigNumber(["-", "f", "f"], 16).val().should.equal("-255");
+                BigNumber([1, 0, 1], 2).val().should.equal("5");
+            });
+
+            it('should detect radix prefixes', function () {
+                BigNumber("0xff").val().should.equal("255");
+                BigNumber("0XFF").val().should.equal("255");
+                BigNumber("-0b101").val().should.equal("-5");
+                BigNumber("+0o17").val().should.equal("15");
+                BigNumber("0xff", 16).val().should.equal("255");
+                BigNumber("0b1", 16).val().should.equal("177");
+                BigNumber("0x10", 10).isNaN().should.equal(true);
+                BigNumber("0x").isNaN().should.equal(true);
+            });
+
+            it('should reject invalid digits and radices', function () {
+                BigNumber("12", 2).error.code.should.equal("INVALID");
+                BigNumber("fg", 16).error.code.should.equal("INVALID");
+                BigNumber([1, 2], 2).error.code.should.equal("INVALID");
+                BigNumber("12", 1).error.code.should.equal("INVALID_ARGUMENT");
+                BigNumber("12", 37).error.code.should.equal("INVALID_ARGUMENT");
+                (function () { BigNumber(12).toString(37); }).should.throw(/radix/);
+            });
+
+            it('should print numbers in any radix', function () {
+                BigNumber(255).toString(16).should.equal("ff");
+                BigNumber(-5).toString(2).should.equal("-101");
+                BigNumber(0).toString(2).should.equal("0");
+                BigNumber(0).toString(36).should.equal("0");
+                BigNumber(15).toString(3).should.equal("120");
+                BigNumber(decimal).toString(36).should.equal("5hy8cqpp6qj5vz0m8iov0uej9");
+                BigNumber("7901737211808763181931894005015958468629").toString(16).should.equal("17389b3b1b9dc1b6a6f39d5a3b4e6b3815");
+                BigNumber(decimal).val(10).should.equal(decimal);
+            });
+
+            it('should round trip through every radix', function () {
+                for (var radix = 2; radix <= 36; radix++) {
+                    BigNumber(BigNumber(decimal).toString(radix), radix).val().should.equal(decimal);
+                    BigNumber(BigNumber("-" + decimal).toString(radix), radix).val().should.equal("-" + decimal);
+                }
+            });
+        });
+
+        describe('parsing', function () {
+            // Returns the error thrown by BigNumber.parse for the string and options
+            function parseError(string, options) {
+                try {
+                    BigNumber.parse(string, options);
+                } catch (error) {
+                    return error;
+                }
+                throw new Error("No error for " + string);
+            }
+
+            it('should parse strict integers', function () {
+                BigNumber.parse("517").val().should.equal("517");
+                BigNumber.parse("-517").val().should.equal("-517");
+                BigNumber.parse("+517").val().should.equal("517");
+                BigNumber.parse("0").val().should.equal("0");
+                BigNumber.parse("-0").sign.should.equal(1);
+                BigNumber.parse("123456789012345678901234567890123456789").val().should.equal("123456789012345678901234567890123456789");
+                BigNumber.parse("517").should.be.an.instanceof(BigNumber);
+            });
+
+            it('should parse any radix and the radix prefixes', function () {
+                BigNumber.parse("ff", {radix: 16}).val().should.equal("255");
+                BigNumber.parse("-0xFF").val().should.equal("-255");
+                BigNumber.parse("0b101", {radix: 2}).val().should.equal("5");
+                BigNumber.parse("0o17").val().should.equal("15");
+                BigNumber.parse("zz", {radix: 36}).val().should.equal("1295");
+                parseError("0x10", {radix: 10}).position.should.equal(1);
+                parseError("0x").message.should.equal("Expected a digit at position 2");
+            });
+
+            it('should report the position of the first character it cannot read', function () {
+                var error = parseError("12a4");
+                error.should.be.an.instanceof(BigNumber.BigNumberError);
+                error.code.should.equal("SYNTAX");
+                error.position.should.equal(2);
+                error.message.should.equal("Unexpected character 'a' at position 2");
+                parseError("").message.should.equal("Expected a digit at position 0");
+                parseError("-").message.should.equal("Expected a digit at position 1");
+                parseError("1e3").position.should.equal(1);
+                parseError("12", {radix: 2}).position.should.equal(1);
+                parseError("1.5").position.should.equal(1);
+            });
+
+            it('should only allow white space with the whitespace option', function () {
+                parseError(" 12").position.should.equal(0);
+                parseError("12\n").position.should.equal(2);
+                BigNumber.parse(" \t-12\n", {whitespace: true}).val().should.equal("-12");
+                parseError("- 12", {whitespace: true}).position.should.equal(1);
+                parseError("1 2", {whitespace: true}).position.should.equal(1);
+                parseError("   ", {whitespace: true}).message.should.equal("Expected a digit at position 3");
+            });
+
+            it('should only allow separators between digits', function () {
+                parseError("1_000").position.should.equal(1);
+                BigNumber.parse("1_000_000", {separator: "_"}).val().should.equal("1000000");
+                BigNumber.parse("-1,234,567", {separator: ","}).val().should.equal("-1234567");
+                BigNumber.parse("0xff_ff", {separator: "_"}).val().should.equal("65535");
+                parseError("1,000", {separator: "_"}).position.should.equal(1);
+                parseError("_1", {separator: "_"}).message.should.equal("Unexpected separator '_' at position 0");
+                parseError("1_", {separator: "_"}).position.should.equal(1);
+                parseError("1__0", {separator: "_"}).position.should.equal(1);
+                parseError("0x_f", {separator: "_"}).position.should.equal(2);
+            });
+
+            it('should only allow leading zeros with the leadingZeros option', function () {
+                parseError("007").message.should.equal("Unexpected leading zero at position 0");
+                parseError("-00").position.should.equal(1);
+                parseError("0_1", {separator: "_"}).position.should.equal(0);
+                BigNumber.parse("007", {leadingZeros: true}).val().should.equal("7");
+                BigNumber.parse("-000", {leadingZeros: true}).val().should.equal("0");
+            });
+
+            it('should throw even in the nan error mode', function () {
+                BigNumber.config().errorMode.should.equal("nan");
+                parseError("x").code.should.equal("SYNTAX");
+            });
+
+            it('should reject invalid options and values', function () {
+                (function () { BigNumber.parse("1", {radix: 37}); }).should.throw(/radix/);
+                (function () { BigNumber.parse("1", {separator: "."}); }).should.throw(/separator/);
+                (function () { BigNumber.parse(12); }).should.throw(/Invalid string/);
+                (function () { BigNumber.tryParse("1", {radix: 1}); }).should.throw(/radix/);
+            });
+
+            it('should return null from tryParse when it cannot read the string', function () {
+                BigNumber.tryParse("1_024", {separator: "_"}).val().should.equal("1024");
+                (BigNumber.tryParse("1_024") === null).should.equal(true);
+                (BigNumber.tryParse("") === null).should.equal(true);
+                (BigNumber.tryParse(undefined) === null).should.equal(true);
+                (BigNumber.tryParse(1024) === null).should.equal(true);
+            });
+        });
+
+        describe('decimal conversion', function () {
+            // Returns a string of length copies of str
+            function repeat(str, length) {
+                return new Array(length + 1).join(str);
+            }
+
+            // Returns a string of pseudo random decimal digits
+            function digits(length) {
+                for (var str = '', seed = 7; str.length < length; ) {
+                    seed = (seed * 1103515245 + 12345) % 2147483648;
+                    str += Math.floor(seed / 65536) % 10;
+                }
+                return '1' + str.slice(1);
+            }
+
+            heavy('should convert numbers of many decimal digits', function () {
+                BigNumber(repeat('9', 5000)).add(1).val().should.equal('1' + repeat('0', 5000));
+                BigNumber('1' + repeat('0', 5000)).minus(1).val().should.equal(repeat('9', 5000));
+                BigNumber(10).pow(3001).val().should.equal('1' + repeat('0', 3001));
+                BigNumber('-' + repeat('0', 300) + '17').val().should.equal('-17');
+            });
+
+            heavy('should round trip numbers of many decimal digits', function () {
+                [1, 6, 7, 8, 100, 223, 224, 225, 226, 1000, 4000].forEach(function (length) {
+                    var str = digits(length);
+                    BigNumber(str).val().should.equal(str);
+                    BigNumber(BigNumber(str).toString(16), 16).val().should.equal(str);
+                    BigNumber(BigNumber(str).toString(36), 36).val().should.equal(str);
+                    BigNumber(str.slice(0, length >> 1) + repeat('0', length - (length >> 1))).val()
+                        .should.equal(str.slice(0, length >> 1) + repeat('0', length - (length >> 1)));
+                });
+            });
+        });
+
+        describe('multiplication algorithms', function () {
+            var seed = 12345, base = BigNumber.base;
+
+            // Returns a pseudo random number array of the given length, all of its elements base-1 if max is set
+            function number(length, max) {
+                for (var result = []; result.length < length; ) {
+                    seed = (seed * 1103515245 + 12345) % 2147483648;
+                    result.push(max ? base - 1 : seed % base);
+                }
+                result[length - 1] = result[length - 1] || 1;
+                return result;
+            }
+
+            var sizes = [[1, 1], [2, 1], [3, 3], [7, 2], [39, 39], [40, 40], [41, 13], [64, 64], [100, 99], [255, 255],
+                [256, 256], [300, 200], [600, 90], [700, 700]];
+
+            it('should multiply as the schoolbook method does', function () {
+                sizes.forEach(function (size) {
+                    [false, true].forEach(function (max) {
+                        var a = number(size[0], max), b = number(size[1], max);
+                        var expected = BigNumber._schoolbookMultiply(a, b).join();
+                        BigNumber._karatsubaMultiply(a, b).join().should.equal(expected);
+                        BigNumber._karatsubaMultiply(b, a).join().should.equal(expected);
+                        BigNumber._toom3Multiply(a, b).join().should.equal(expected);
+                        BigNumber._toom3Multiply(b, a).join().should.equal(expected);
+                        BigNumber._multiply(a, b).join().should.equal(expected);
+                        BigNumber._multiply(b, a).join().should.equal(expected);
+                    });
+                });
+            });
+
+            it('should square as the schoolbook method does', function () {
+                sizes.forEach(function (size) {
+                    [false, true].forEach(function (max) {
+                        var a = number(size[0], max);
+                        var expected = BigNumber._schoolbookMultiply(a, a.slice()).join();
+                        BigNumber._schoolbookSquare(a).join().should.equal(expected);
+                        BigNumber._karatsubaMultiply(a, a).join().should.equal(expected);
+                        BigNumber._toom3Multiply(a, a).join().should.equal(expected);
+                        BigNumber._square(a).join().should.equal(expected);
+                        BigNumber._multiply(a, a).join().should.equal(expected);
+                    });
+                });
+            });
+
+            it('should multiply by zero and leave the operands unchanged', function () {
+                var a = number(300), b = number(300), copy = a.join();
+                BigNumber._karatsubaMultiply(a, [0]).join().should.equal("0");
+                BigNumber._toom3Multiply([0], b).join().should.equal("0");
+                BigNumber._multiply(a, b);
+                BigNumber._square(a);
+                a.join().should.equal(copy);
+            });
+
+            heavy('should multiply and raise to powers big numbers', function () {
+                var a = BigNumber(3).pow(20000), b = BigNumber(3).pow(15000);
+                BigNumber(a).multiply(b).equals(BigNumber(3).pow(35000)).should.equal(true);
+                BigNumber(a).multiply(a).equals(BigNumber(9).pow(20000)).should.equal(true);
+                BigNumber(a).multiply(BigNumber(b).multiply(-1)).equals(BigNumber(3).pow(35000).multiply(-1)).should.equal(true);
+                BigNumber(-3).pow(35001).equals(BigNumber(3).pow(35001).multiply(-1)).should.equal(true);
+                BigNumber(2).pow(100000).toString(16).should.equal('1' + new Array(25001).join('0'));
+            });
+        });
+
+        describe('division algorithms', function () {
+            var seed = 54321, base = BigNumber.base, half = Math.floor(base / 2);
+
+            // Returns a pseudo random number array of the given length, its elements being below max (by default the base)
+            function number(length, max) {
+                for (var result = []; result.length < length; ) {
+                    seed = (seed * 1103515245 + 12345) % 2147483648;
+                    result.push(seed % (max || base));
+                }
+                result[length - 1] = result[length - 1] || 1;
+                return result;
+            }
+
+            // Checks that division gives a quotient and a remainder such that a = quotient*b + remainder and remainder < b
+            function check(a, b, division) {
+                var product = BigNumber._add(BigNumber._multiply(division[0], b), division[1]);
+                product.join().should.equal(a.join());
+                var rest = BigNumber(), divisor = BigNumber();
+                rest.number = division[1];
+                divisor.number = b;
+                rest.lt(divisor).should.equal(true);
+                (division[0].length == 1 || division[0][division[0].length - 1] > 0).should.equal(true);
+                (division[1].length == 1 || division[1][division[1].length - 1] > 0).should.equal(true);
+            }
+
+            var sizes = [[2, 2], [3, 2], [9, 4], [40, 17], [100, 99], [200, 100], [300, 40], [400, 180]];
+
+            it('should divide by long division and by the reciprocal alike', function () {
+                sizes.forEach(function (size) {
+                    [base, 2, base - 1].forEach(function (max) {
+                        var a = number(size[0], max), b = number(size[1]);
+                        var division = BigNumber._knuthDivide(a, b);
+                        check(a, b, division);
+                        BigNumber._newtonDivide(a, b).join(';').should.equal(division.join(';'));
+                        BigNumber._divide(a, b).join(';').should.equal(division.join(';'));
+                    });
+                });
+            });
+
+            it('should divide by divisors of awkward shapes', function () {
+                [[0, 0, 0, 0, 0, 1], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1], [base - 1, base - 1, base - 1],
+                    [0, 0, half], [base - 1, 0, half - 1 || 1], number(60, 2)].forEach(function (b) {
+                    var multiple = BigNumber._multiply(b, number(50));
+                    var a = BigNumber._add(multiple.slice(), number(3));
+                    [multiple, a, number(120, 2), number(121)].forEach(function (a) {
+                        var division = BigNumber._knuthDivide(a, b);
+                        check(a, b, division);
+                        BigNumber._newtonDivide(a, b).join(';').should.equal(division.join(';'));
+                    });
+                });
+            });
+
+            it('should calculate reciprocals', function () {
+                [17, 30, 64, 150].forEach(function (length) {
+                    var b = number(length), power = [];
+                    while (power.length < 2 * length) power.push(0);
+                    power.push(1);
+                    BigNumber._reciprocal(b).join().should.equal(BigNumber._knuthDivide(power, b)[0].join());
+                });
+            });
+
+            heavy('should divide big numbers', function () {
+                var a = BigNumber(7).pow(6000), b = BigNumber(7).pow(2800).add(1);
+                var quotient = BigNumber(a).divide(b);
+                quotient.multiply(b).add(quotient.rest).equals(a).should.equal(true);
+                BigNumber(a).divide(BigNumber(7).pow(5000)).equals(BigNumber(7).pow(1000)).should.equal(true);
+                BigNumber(a).mod(BigNumber(7).pow(5000)).isZero().should.equal(true);
+                BigNumber(a).sqrt().equals(BigNumber(7).pow(3000)).should.equal(true);
+            });
+        });
+
+        describe('bitwise operations', function () {
+            var a = BigNumber("fedcba9876543210fedcba98", 16), b = BigNumber("123456789abcdef0f0f0f0f", 16);
+
+            it('should combine numbers as two\'s complement', function () {
+                BigNumber(a).and(b).toString(16).should.equal("e0c0a08");
+                BigNumber(a).or(b).toString(16).should.equal("ffffffffffffffffffdfbf9f");
+                BigNumber(a).xor(b).toString(16).should.equal("fffffffffffffffff1d3b597");
+                BigNumber(a).multiply(-1).and(b).toString(16).should.equal("123456789abcdef01030508");
+                BigNumber(a).or(BigNumber(b).multiply(-1)).toString(16).should.equal("-123456789abcdef01030507");
+                BigNumber(a).multiply(-1).xor(BigNumber(b).multiply(-1)).toString(16).should.equal("fffffffffffffffff1d3b599");
+                BigNumber(a).not().toString(16).should.equal("-fedcba9876543210fedcba99");
+                BigNumber(-1).and(a).equals(a).should.equal(true);
+                BigNumber(-1).not().val().should.equal("0");
+                BigNumber(0).not().val().should.equal("-1");
+            });
+
+            it('should shift numbers', function () {
+                BigNumber(a).shiftLeft(77).toString(16).should.equal("1fdb97530eca86421fdb975300000000000000000000");
+                BigNumber(a).shiftRight(30).toString(16).should.equal("3fb72ea61d950c843");
+                BigNumber(a).multiply(-1).shiftRight(30).toString(16).should.equal("-3fb72ea61d950c844");
+                BigNumber(a).multiply(-1).shiftRight(200).val().should.equal("-1");
+                BigNumber(a).shiftRight(200).val().should.equal("0");
+                BigNumber(a).shiftLeft(-30).toString(16).should.equal("3fb72ea61d950c843");
+                BigNumber(5).shiftLeft(1.5).error.code.should.equal("INVALID_ARGUMENT");
+            });
+
+            it('should test and set bits', function () {
+                BigNumber(5).testBit(0).should.equal(true);
+                BigNumber(5).testBit(1).should.equal(false);
+                BigNumber(-2).testBit(0).should.equal(false);
+                BigNumber(-2).testBit(1000).should.equal(true);
+                BigNumber(0).setBit(100).toString(16).should.equal("1" + new Array(26).join("0"));
+                BigNumber(-1).setBit(3, false).val().should.equal("-9");
+                BigNumber(7).setBit(1, false).val().should.equal("5");
+                (function () { BigNumber(5).testBit(-1); }).should.throw(/bit index/);
+            });
+
+            it('should count bits', function () {
+                BigNumber(0).bitLength().should.equal(0);
+                BigNumber(-1).bitLength().should.equal(0);
+                BigNumber(255).bitLength().should.equal(8);
+                BigNumber(-256).bitLength().should.equal(8);
+                BigNumber(-257).bitLength().should.equal(9);
+                BigNumber(a).bitLength().should.equal(96);
+            });
+
+            (typeof BigInt === 'function' ? it : it.skip)('should agree with BigInt', function () {
+                var values = ["0", "1", "-1", "33554431", "-33554432", "-33554433", "1125899906842624", "-1125899906842623",
+                    "-98765432109876543210987654321", "123456789012345678901234567890123"];
+                values.forEach(function (x) {
+                    values.forEach(function (y) {
+                        BigNumber(x).and(y).val().should.equal((BigInt(x) & BigInt(y)).toString());
+                        BigNumber(x).or(y).val().should.equal((BigInt(x) | BigInt(y)).toString());
+                        BigNumber(x).xor(y).val().should.equal((BigInt(x) ^ BigInt(y)).toString());
+                    });
+                    [0, 1, 24, 25, 26, 50, 77, 130].forEach(function (n) {
+                        BigNumber(x).shiftLeft(n).val().should.equal((BigInt(x) << BigInt(n)).toString());
+                        BigNumber(x).shiftRight(n).val().should.equal((BigInt(x) >> BigInt(n)).toString());
+                        BigNumber(x).testBit(n).should.equal(((BigInt(x) >> BigInt(n)) & BigInt(1)).toString() === "1");
+                    });
+                    BigNumber(x).not().val().should.equal((~BigInt(x)).toString());
+                });
+            });
+        });
+
+        describe('modular arithmetic', function () {
+            var prime = BigNumber(2).pow(127).subtract(1);
+
+            it('should raise to powers modulo a number', function () {
+                BigNumber(4).modPow(13, 497).val().should.equal("445");
+                BigNumber(3).modPow(BigNumber(10).pow(40), prime).val().should.equal("81779306578532292258527083327619434864");
+                BigNumber(123456789).modPow("987654321987654321", "1000000000000000000000000000007").val()
+                    .should.equal("407740964895472324636616860652");
+                BigNumber(-2).modPow(3, 5).val().should.equal("2");
+                BigNumber(7).modPow(0, 5).val().should.equal("1");
+                BigNumber(7).modPow(5, 1).val().should.equal("0");
+                BigNumber(3).modPow(-1, 7).val().should.equal("5");
+            });
+
+            heavy('should satisfy Fermat\'s little theorem', function () {
+                var modulus = BigNumber(2).pow(521).subtract(1);
+                [2, 3, "123456789012345678901234567890"].forEach(function (x) {
+                    BigNumber(x).modPow(BigNumber(modulus).subtract(1), modulus).val().should.equal("1");
+                });
+            });
+
+            it('should reject invalid moduli', function () {
+                BigNumber(3).modPow(2, 0).error.code.should.equal("DIVISION_BY_ZERO");
+                BigNumber(3).modPow(2, -5).error.code.should.equal("INVALID_ARGUMENT");
+                BigNumber(2).modPow(-1, 4).error.code.should.equal("NOT_INVERTIBLE");
+            });
+
+            it('should calculate modular inverses', function () {
+                BigNumber(3).modInverse(11).val().should.equal("4");
+                BigNumber(-3).modInverse(11).val().should.equal("7");
+                BigNumber(5).modInverse(1).val().should.equal("0");
+                BigNumber(6).modInverse(9).error.code.should.equal("NOT_INVERTIBLE");
+                var x = BigNumber("98765432109876543210987654321");
+                BigNumber(x).modInverse(prime).multiply(x).mod(prime).val().should.equal("1");
+            });
+
+            it('should calculate gcds and lcms', function () {
+                BigNumber(12).gcd(18).val().should.equal("6");
+                BigNumber(-12).gcd(18).val().should.equal("6");
+                BigNumber(0).gcd(-7).val().should.equal("7");
+                BigNumber(0).gcd(0).val().should.equal("0");
+                BigNumber(2).pow(200).multiply(9).gcd(BigNumber(2).pow(150).multiply(15)).equals(BigNumber(2).pow(150).multiply(3))
+                    .should.equal(true);
+                BigNumber(4).lcm(-6).val().should.equal("12");
+                BigNumber(0).lcm(6).val().should.equal("0");
+            });
+
+            it('should calculate Bezout coefficients', function () {
+                [[240, 46], [-240, 46], [46, -240], [0, 5], [5, 0], ["123456789012345678901234567890", "987654321098765432109876543210"]]
+                    .forEach(function (pair) {
+                        var result = BigNumber(pair[0]).egcd(pair[1]);
+                        result.gcd.equals(BigNumber(pair[0]).gcd(pair[1])).should.equal(true);
+                        BigNumber(pair[0]).multiply(result.x).add(BigNumber(pair[1]).multiply(result.y)).equals(result.gcd)
+                            .should.equal(true);
+                    });
+                var a = BigNumber(240);
+                a.egcd(46).gcd.val().should.equal("2");
+                a.val().should.equal("240");
+            });
+
+            it('should reduce with a reusable Barrett context', function () {
+                var context = BigNumber.Barrett(prime);
+                var x = BigNumber(3).pow(200), y = BigNumber(7).pow(100);
+                context.modulus.equals(prime).should.equal(true);
+                context.reduce(x).equals(BigNumber(x).mod(prime)).should.equal(true);
+                context.reduce(BigNumber(x).multiply(-1)).add(BigNumber(x).mod(prime)).equals(prime).should.equal(true);
+                context.multiply(x, y).equals(BigNumber(x).multiply(y).mod(prime)).should.equal(true);
+                context.square(x).equals(BigNumber(x).multiply(x).mod(prime)).should.equal(true);
+                context.power(3, BigNumber(10).pow(40)).val().should.equal("81779306578532292258527083327619434864");
+                new BigNumber.Barrett(10).power(3, 3).val().should.equal("7");
+                x.equals(BigNumber(3).pow(200)).should.equal(true);
+                (function () { BigNumber.Barrett(0); }).should.throw(/modulus/);
+            });
+        });
+
+        describe('primality', function () {
+            heavy('should tell primes from composites', function () {
+                var primes = [];
+                for (var number = 0; number < 2000; number++) {
+                    if (BigNumber(number).isProbablePrime()) primes.push(number);
+                }
+                primes.length.should.equal(303);
+                primes.slice(0, 10).join().should.equal("2,3,5,7,11,13,17,19,23,29");
+                primes[primes.length - 1].should.equal(1999);
+                BigNumber(-7).isProbablePrime().should.equal(false);
+                BigNumber(2).pow(127).subtract(1).isProbablePrime().should.equal(true);
+                BigNumber(2).pow(521).subtract(1).isProbablePrime().should.equal(true);
+                BigNumber(2).pow(128).add(1).isProbablePrime().should.equal(false);
+                BigNumber("18446744073709551557").isProbablePrime().should.equal(true);
+            });
+
+            it('should not be fooled by pseudoprimes', function () {
+                // Carmichael numbers and strong pseudoprimes to the first primes as bases
+                ["561", "41041", "825265", "3215031751", "3825123056546413051", "318665857834031151167461",
+                    "3317044064679887385961981", "1543267864443420616877677640751301"].forEach(function (number) {
+                    BigNumber(number).isProbablePrime().should.equal(false);
+                });
+            });
+
+            heavy('should find the next prime', function () {
+                BigNumber(100).nextPrime().val().should.equal("101");
+                BigNumber(2).nextPrime().val().should.equal("3");
+                BigNumber(-5).nextPrime().val().should.equal("2");
+                BigNumber("18446744073709551557").nextPrime().val().should.equal("18446744073709551629");
+                BigNumber(2).pow(127).subtract(2).nextPrime().equals(BigNumber(2).pow(127).subtract(1)).should.equal(true);
+            });
+
+            heavy('should create random primes', function () {
+                [2, 10, 64, 128].forEach(function (bits) {
+                    var prime = BigNumber.randomPrime(bits);
+                    prime.toString(2).length.should.equal(bits);
+                    prime.isProbablePrime().should.equal(true);
+                });
+                BigNumber.randomPrime(1).error.code.should.equal("INVALID_ARGUMENT");
+            });
+
+            it('should create both primes of 2 bits', function () {
+                var seen = {};
+                for (var index = 0; index < 64; index++) seen[BigNumber.randomPrime(2).val()] = true;
+                Object.keys(seen).sort().should.eql(["2", "3"]);
+            });
+        });
+
+        describe('combinatorics', function () {
+            // Returns n! by multiplying one factor after another
+            function slowFactorial(n) {
+                for (var result = BigNumber(1), factor = 2; factor <= n; factor++) result = result.multiply(factor);
+                return result;
+            }
+
+            it('should calculate factorials', function () {
+                BigNumber.factorial(0).val().should.equal("1");
+                BigNumber.factorial(1).val().should.equal("1");
+                BigNumber.factorial(5).val().should.equal("120");
+                BigNumber.factorial(25).val().should.equal("15511210043330985984000000");
+                [17, 100, 250].forEach(function (n) {
+                    BigNumber.factorial(n).equals(slowFactorial(n)).should.equal(true);
+                });
+                BigNumber.factorial(-1).error.code.should.equal("INVALID_ARGUMENT");
+                BigNumber.factorial(2.5).error.message.should.match(/Invalid factorial/);
+            });
+
+            it('should calculate binomial coefficients', function () {
+                BigNumber.binomial(5, 2).val().should.equal("10");
+                BigNumber.binomial(5, 0).val().should.equal("1");
+                BigNumber.binomial(5, 5).val().should.equal("1");
+                BigNumber.binomial(5, 6).val().should.equal("0");
+                BigNumber.binomial(0, 0).val().should.equal("1");
+                BigNumber.binomial(100, 50).val().should.equal("100891344545564193334812497256");
+                BigNumber.binomial("9007199254740991", 2).val().should.equal("40564819207303327337095620460545");
+                BigNumber.binomial(120, 45).equals(slowFactorial(120).divide(slowFactorial(45)).divide(slowFactorial(75)))
+                    .should.equal(true);
+                // Pascal's rule C(n, k) = C(n-1, k-1) + C(n-1, k), for binomials of many factors and of few
+                [[1000, 400], [1000, 999], [1000, 40]].forEach(function (pair) {
+                    var n = pair[0], k = pair[1];
+                    BigNumber.binomial(n, k).equals(BigNumber.binomial(n - 1, k - 1).add(BigNumber.binomial(n - 1, k)))
+                        .should.equal(true);
+                });
+                BigNumber.binomial(5, -1).error.message.should.match(/Invalid binomial/);
+            });
+
+            it('should calculate multinomial coefficients', function () {
+                BigNumber.multinomial([2, 1, 1]).val().should.equal("12");
+                BigNumber.multinomial([3, 4, 5]).val().should.equal("27720");
+                BigNumber.multinomial([7]).val().should.equal("1");
+                BigNumber.multinomial([]).val().should.equal("1");
+                BigNumber.multinomial([100, 200, 300]).equals(BigNumber.binomial(300, 100).multiply(BigNumber.binomial(600, 300)))
+                    .should.equal(true);
+                BigNumber.multinomial([1, -2]).error.code.should.equal("INVALID_ARGUMENT");
+                BigNumber.multinomial(5).error.code.should.equal("INVALID_ARGUMENT");
+            });
+
+            it('should calculate Fibonacci and Lucas numbers', function () {
+                var fibonacci = [], lucas = [];
+                for (var n = -6; n <= 10; n++) {
+                    fibonacci.push(BigNumber.fibonacci(n).val());
+                    lucas.push(BigNumber.lucas(n).val());
+                }
+                fibonacci.join().should.equal("-8,5,-3,2,-1,1,0,1,1,2,3,5,8,13,21,34,55");
+                lucas.join().should.equal("18,-11,7,-4,3,-1,2,1,3,4,7,11,18,29,47,76,123");
+                BigNumber.fibonacci(100).val().should.equal("354224848179261915075");
+                BigNumber.lucas(100).val().should.equal("792070839848372253127");
+                // F(2n) = F(n)*L(n)
+                BigNumber.fibonacci(2000).equals(BigNumber.fibonacci(1000).multiply(BigNumber.lucas(1000))).should.equal(true);
+                BigNumber.fibonacci(1.5).error.code.should.equal("INVALID_ARGUMENT");
+                BigNumber.lucas(Infinity).error.message.should.match(/Invalid index/);
+            });
+        });
+
+        describe('number theory', function () {
+            it('should calculate Jacobi and Legendre symbols', function () {
+                var symbols = [];
+                for (var a = -3; a <= 9; a++) symbols.push(BigNumber(a).jacobi(9));
+                symbols.join().should.equal("0,1,1,0,1,1,0,1,1,0,1,1,0");
+                symbols = [];
+                for (a = 0; a < 11; a++) symbols.push(BigNumber(a).legendre(11));
+                symbols.join().should.equal("0,1,-1,1,1,1,-1,-1,-1,1,-1");
+                BigNumber(1001).jacobi(9907).should.equal(-1);
+                BigNumber(19).jacobi(45).should.equal(1);
+                BigNumber(8).jacobi(21).should.equal(-1);
+                BigNumber(2).pow(100).add(7).jacobi(BigNumber(2).pow(127).subtract(1)).should.equal(1);
+                BigNumber("x").jacobi(5).should.be.NaN;
+                (function () { BigNumber(3).jacobi(10); }).should.throw(/Invalid modulus/);
+                (function () { BigNumber(3).jacobi(-7); }).should.throw(/Invalid modulus/);
+            });
+
+            it('should take square roots modulo primes', function () {
+                BigNumber(10).modSqrt(13).val().should.equal("6");
+                BigNumber(2).modSqrt(7).val().should.equal("3");
+                BigNumber(-3).modSqrt(7).val().should.equal("2");
+                BigNumber(0).modSqrt(11).val().should.equal("0");
+                BigNumber(1).modSqrt(2).val().should.equal("1");
+                [17, 41, 97, 257, 65537].forEach(function (p) {
+                    // primes 1 mod 8 and 1 mod 2^16, where Tonelli-Shanks takes several steps
+                    for (var x = 1; x < 30; x++) {
+                        var root = BigNumber(x * x).modSqrt(p);
+                        root.equals(Math.min(x % p, p - x % p)).should.equal(true);
+                    }
+                });
+                BigNumber(3).modSqrt(7).error.code.should.equal("NO_SOLUTION");
+                BigNumber(3).modSqrt(15).error.message.should.match(/Invalid prime modulus/);
+            });
+
+            heavy('should take square roots modulo large primes', function () {
+                var p = BigNumber(2).pow(255).subtract(19), square = BigNumber("123456789123456789123456789").modPow(2, p);
+                var root = BigNumber(square).modSqrt(p);
+                BigNumber(root).modPow(2, p).equals(square).should.equal(true);
+                BigNumber(root).lte(BigNumber(p).divide(2)).should.equal(true);
+            });
+
+            it('should solve congruences by the Chinese remainder theorem', function () {
+                BigNumber.crt([2, 3, 2], [3, 5, 7]).val().should.equal("23");
+                BigNumber.crt([-1, -1], [10, 15]).val().should.equal("29");
+                BigNumber.crt([3, 5], [4, 6]).val().should.equal("11");
+                BigNumber.crt([5], [7]).val().should.equal("5");
+                BigNumber.crt([], []).val().should.equal("0");
+                var moduli = [BigNumber(2).pow(61).subtract(1), BigNumber(2).pow(89).subtract(1), "1000000007"];
+                var x = BigNumber("123456789012345678901234567890123456789012345678901234");
+                var solution = BigNumber.crt(moduli.map(function (modulus) { return BigNumber(x).mod(modulus); }), moduli);
+                solution.equals(x).should.equal(true);
+                BigNumber.crt([3, 4], [4, 6]).error.code.should.equal("NO_SOLUTION");
+                BigNumber.crt([1, 2], [3, 0]).error.message.should.match(/Invalid modulus/);
+                BigNumber.crt([1, 2], [3]).error.code.should.equal("INVALID_ARGUMENT");
+            });
+
+            it('should calculate the totient and Carmichael functions from factorisations', function () {
+                var factors = [{prime: 2, exponent: 3}, {prime: 3, exponent: 2}, {prime: 5, exponent: 1}];
+                BigNumber.totient(factors).val().should.equal("96");
+                BigNumber.carmichael(factors).val().should.equal("12");
+                BigNumber.totient([]).val().should.equal("1");
+                BigNumber.carmichael([{prime: 3, exponent: 1}, {prime: 11, exponent: 1}, {prime: 17, exponent: 1}]).val()
+                    .should.equal("80");
+                BigNumber.carmichael([{prime: 2, exponent: 1}]).val().should.equal("1");
+                BigNumber.carmichael([{prime: 2, exponent: 2}]).val().should.equal("2");
+                BigNumber.carmichael([{prime: 2, exponent: 10}]).val().should.equal("256");
+                var mersenne = BigNumber(2).pow(127).subtract(1);
+                BigNumber.totient([{prime: mersenne, exponent: 2}]).equals(BigNumber(mersenne).multiply(BigNumber(mersenne).subtract(1)))
+                    .should.equal(true);
+                BigNumber.totient([{prime: 1, exponent: 1}]).error.code.should.equal("INVALID_ARGUMENT");
+                BigNumber.carmichael([{prime: 3, exponent: -1}]).error.message.should.match(/Invalid factorisation/);
+            });
+        });
+
+        describe('factorization', function () {
+            // Returns the factorisation as a string such as 2^3*3^2
+            function factors(number, options) {
+                return BigNumber(number).factorize(options).map(function (factor) {
+                    return factor.prime + '^' + factor.exponent;
+                }).join('*');
+            }
+
+            it('should factorize small numbers by trial division', function () {
+                factors(1).should.equal("");
+                factors(2).should.equal("2^1");
+                factors(360).should.equal("2^3*3^2*5^1");
+                factors(-360).should.equal("2^3*3^2*5^1");
+                factors(997).should.equal("997^1");
+                factors(1009).should.equal("1009^1");
+                factors(1024).should.equal("2^10");
+                factors("600851475143").should.equal("71^1*839^1*1471^1*6857^1");
+                for (var n = 2; n < 500; n++) {
+                    var product = BigNumber(1);
+                    BigNumber(n).factorize().forEach(function (factor) {
+                        factor.prime.isProbablePrime().should.equal(true);
+                        product = product.multiply(BigNumber(factor.prime).power(factor.exponent));
+                    });
+                    product.val().should.equal(String(n));
+                }
+            });
+
+            heavy('should factorize products of large primes', function () {
+                factors(BigNumber(1000003).multiply(1000033)).should.equal("1000003^1*1000033^1");
+                factors(BigNumber(2).pow(64).add(1)).should.equal("274177^1*67280421310721^1");
+                factors(BigNumber(1000003).pow(2).multiply(1000033).multiply(12)).should.equal("2^2*3^1*1000003^2*1000033^1");
+                factors(BigNumber(4294967291).multiply(4294967279), {pMinusOne: true}).should.equal("4294967279^1*4294967291^1");
+            });
+
+            it('should give up on its budget', function () {
+                // 2^128+1 = 59649589127497217 * 5704689200685129054721, out of reach of a few hundred steps of rho
+                var number = BigNumber(2).pow(128).add(1).multiply(12), error;
+                try {
+                    number.factorize({iterations: 200});
+                } catch (e) {
+                    error = e;
+                }
+                error.should.be.an.instanceof(BigNumber.BigNumberError);
+                error.code.should.equal("BUDGET_EXCEEDED");
+                error.factors.map(function (factor) { return factor.prime + '^' + factor.exponent; }).join('*').should.equal("2^2*3^1");
+                error.remaining.join().should.equal("340282366920938463463374607431768211457");
+                (function () { number.factorize({time: 0, iterations: Infinity}); }).should.throw(/budget/);
+            });
+
+            it('should reject numbers without factorisation', function () {
+                (function () { BigNumber(0).factorize(); }).should.throw(/Cannot factorize 0/);
+                (function () { BigNumber("x").factorize(); }).should.throw(/Invalid Number/);
+            });
+
+            it('should give factorisations for the totient and Carmichael functions', function () {
+                BigNumber.totient(BigNumber(1000).factorize()).val().should.equal("400");
+                BigNumber.carmichael(BigNumber(1000).factorize()).val().should.equal("100");
+            });
+        });
+
+        describe('random numbers', function () {
+            var seed;
+
+            // A seeded pseudo random number generator (Park-Miller) for reproducible numbers
+            function prng() {
+                seed = seed * 16807 % 2147483647;
+                return (seed - 1) / 2147483646;
+            }
+
+            beforeEach(function () {
+                seed = 12345;
+            });
+
+            it('should create numbers of a number of bits or digits', function () {
+                for (var index = 0; index < 50; index++) {
+                    BigNumber.random({bits: 100}).bitLength().should.not.be.above(100);
+                    BigNumber.random({digits: 30}).lte(BigNumber(10).pow(30).subtract(1)).should.equal(true);
+                    BigNumber().random(20).val().length.should.equal(20);
+                }
+                BigNumber.random({bits: 0}).val().should.equal("0");
+            });
+
+            it('should create numbers in a range', function () {
+                var counts = [0, 0, 0, 0, 0, 0, 0];
+                for (var index = 0; index < 700; index++) {
+                    counts[+BigNumber.random({min: -3, max: 3, prng: prng}).val() + 3]++;
+                }
+                counts.forEach(function (count) {
+                    count.should.be.within(60, 140);
+                });
+                var max = BigNumber(2).pow(100).add(5);
+                for (index = 0; index < 50; index++) {
+                    var number = BigNumber.random({min: 3, max: max});
+                    (number.gte(3) && number.lte(max)).should.equal(true);
+                }
+                BigNumber.random({min: 7, max: 7}).val().should.equal("7");
+            });
+
+            it('should be reproducible with a seeded prng', function () {
+                var number = BigNumber.random({bits: 200, prng: prng}).val();
+                seed = 12345;
+                BigNumber.random({bits: 200, prng: prng}).val().should.equal(number);
+                seed = 12345;
+                var prime = BigNumber.randomPrime(64, {prng: prng}).val();
+                seed = 12345;
+                BigNumber.randomPrime(64, {prng: prng}).val().should.equal(prime);
+            });
+
+            it('should reject invalid options', function () {
+                BigNumber.random({bits: -1}).error.code.should.equal("INVALID_ARGUMENT");
+                BigNumber.random({digits: 1.5}).error.code.should.equal("INVALID_ARGUMENT");
+                BigNumber.random({min: 5}).error.code.should.equal("INVALID_ARGUMENT");
+                BigNumber.random({min: 5, max: 4}).error.code.should.equal("INVALID_ARGUMENT");
+                BigNumber.random({min: "x", max: 4}).error.code.should.equal("INVALID");
+                BigNumber.random({bits: 8, prng: 5}).error.code.should.equal("INVALID_ARGUMENT");
+            });
+        });
+
+        describe('division modes', function () {
+            var pairs = [[7, 2], [-7, 2], [7, -2], [-7, -2], [7, 3], [-7, 3], [7, -3], [-7, -3],
+                [6, 3], [-6, 3], [6, -3], [-6, -3], [0, 5], [0, -5]];
+            var expected = {
+                trunc: "3 1, -3 -1, -3 1, 3 -1, 2 1, -2 -1, -2 1, 2 -1, 2 0, -2 0, -2 0, 2 0, 0 0, 0 0",
+                floor: "3 1, -4 1, -4 -1, 3 -1, 2 1, -3 2, -3 -2, 2 -1, 2 0, -2 0, -2 0, 2 0, 0 0, 0 0",
+                ceil: "4 -1, -3 -1, -3 1, 4 1, 3 -2, -2 -1, -2 1, 3 2, 2 0, -2 0, -2 0, 2 0, 0 0, 0 0",
+                euclidean: "3 1, -4 1, -3 1, 4 1, 2 1, -3 2, -2 1, 3 2, 2 0, -2 0, -2 0, 2 0, 0 0, 0 0"
+            };
+
+            it('should divide with every mode and sign combination', function () {
+                Object.keys(expected).forEach(function (mode) {
+                    pairs.map(function (pair) {
+                        var division = BigNumber(pair[0]).divmod(pair[1], mode);
+                        return division.quotient.val() + " " + division.remainder.val();
+                    }).join(", ").should.equal(expected[mode]);
+                    pairs.map(function (pair) {
+                        return BigNumber(pair[0]).div(pair[1], mode).val() + " " + BigNumber(pair[0]).mod(pair[1], mode).val();
+                    }).join(", ").should.equal(expected[mode]);
+                });
+            });
+
+            it('should truncate by default', function () {
+                BigNumber(-7).divide(2).val().should.equal("-3");
+                BigNumber(-7).divide(2).rest.val().should.equal("-1");
+                BigNumber(-7).mod(2).val().should.equal("-1");
+                BigNumber(7).mod(-2).val().should.equal("1");
+                BigNumber(-7).divmod(2).remainder.val().should.equal("-1");
+            });
+
+            it('should divide big numbers in every mode', function () {
+                var a = BigNumber(3).pow(200).add(12345), b = BigNumber(7).pow(50);
+                [[a, b], [BigNumber(a).multiply(-1), b], [a, BigNumber(b).multiply(-1)],
+                    [BigNumber(a).multiply(-1), BigNumber(b).multiply(-1)]].forEach(function (pair) {
+                    Object.keys(expected).forEach(function (mode) {
+                        var division = BigNumber(pair[0]).divmod(pair[1], mode);
+                        BigNumber(division.quotient).multiply(pair[1]).add(division.remainder).equals(pair[0]).should.equal(true);
+                        BigNumber(division.remainder).abs().lt(BigNumber(pair[1]).abs()).should.equal(true);
+                        if (mode === 'euclidean') division.remainder.gte(0).should.equal(true);
+                    });
+                });
+            });
+
+            it('should leave the number unchanged by divmod and set it to the remainder by mod', function () {
+                var a = BigNumber(-7);
+                a.divmod(2, 'floor').quotient.val().should.equal("-4");
+                a.val().should.equal("-7");
+                a.mod(2, 'floor');
+                a.val().should.equal("1");
+            });
+
+            it('should reject an unknown mode', function () {
+                BigNumber(7).div(2, 'round').error.code.should.equal("INVALID_ARGUMENT");
+                BigNumber(7).mod(2, 'round').error.code.should.equal("INVALID_ARGUMENT");
+                BigNumber(7).divmod(0, 'floor').remainder.error.code.should.equal("DIVISION_BY_ZERO");
+            });
+        });
+
+        describe('native conversion', function () {
+            var withBigInt = typeof BigInt === 'function' ? it : it.skip;
+
+            withBigInt('should convert to and from BigInt', function () {
+                var values = ["0", "1", "-1", "33554431", "33554432", "-1125899906842624",
+                    "123456789012345678901234567890123456789012345678901234567890",
+                    BigNumber(3).pow(2000).val(), BigNumber(-7).pow(1001).val()];
+                values.forEach(function (value) {
+                    BigNumber(value).toBigInt().toString().should.equal(value);
+                    BigNumber.fromBigInt(BigInt(value)).val().should.equal(value);
+                    BigNumber(BigInt(value)).val().should.equal(value);
+                });
+                BigNumber.fromBigInt(-BigInt(0)).sign.should.equal(1);
+                BigNumber.fromBigInt(5).error.code.should.equal("INVALID_ARGUMENT");
+                (function () { BigNumber("x").toBigInt(); }).should.throw(/Invalid Number/);
+            });
+
+            withBigInt('should compare and print as a primitive', function () {
+                (BigNumber("123456789012345678901234567890") > BigNumber("123456789012345678901234567889")).should.equal(true);
+                (BigNumber(10) == BigInt(10)).should.equal(true);
+                (BigNumber(-3) < 2).should.equal(true);
+                BigNumber(42).valueOf().toString().should.equal("42");
+                ("" + BigNumber(-42)).should.equal("-42");
+                ("" + BigNumber("123456789012345678901234567890")).should.equal("123456789012345678901234567890");
+                (BigNumber("123456789012345678901234567890") == BigInt("123456789012345678901234567890")).should.equal(true);
+                (BigNumber("123456789012345678901234567890") < BigNumber("123456789012345678901234567891")).should.equal(true);
+                String(BigNumber(7)).should.equal("7");
+                BigNumber("x").valueOf().should.be.NaN;
+            });
+
+            it('should convert to a number', function () {
+                BigNumber(12345).toNumber().should.equal(12345);
+                BigNumber(-33554433).toNumber().should.equal(-33554433);
+                BigNumber("9007199254740991").toNumber().should.equal(9007199254740991);
+                BigNumber("123456789012345678901234567890").toNumber().should.equal(1.2345678901234568e+29);
+                BigNumber(10).pow(400).toNumber().should.equal(Infinity);
+                BigNumber("x").toNumber().should.be.NaN;
+                BigNumber("9007199254740991").isSafeInteger().should.equal(true);
+                BigNumber("-9007199254740991").isSafeInteger().should.equal(true);
+                BigNumber("9007199254740992").isSafeInteger().should.equal(false);
+                BigNumber("x").isSafeInteger().should.equal(false);
+            });
+
+            it('should round to the nearest number with ties to even', function () {
+                BigNumber("9007199254740993").toNumber().should.equal(9007199254740992);
+                BigNumber("9007199254740995").toNumber().should.equal(9007199254740996);
+                BigNumber("-9007199254740995").toNumber().should.equal(-9007199254740996);
+                BigNumber("18014398509481986").toNumber().should.equal(18014398509481984);
+                BigNumber("18014398509481987").toNumber().should.equal(18014398509481988);
+                BigNumber(2).pow(1024).minus(BigNumber(2).pow(970)).minus(1).toNumber().should.equal(Number.MAX_VALUE);
+                BigNumber(2).pow(1024).minus(BigNumber(2).pow(970)).toNumber().should.equal(Infinity);
+                BigNumber(Number.MAX_VALUE).toNumber().should.equal(Number.MAX_VALUE);
+            });
+
+            it('should reject fractions and non-finite numbers', function () {
+                BigNumber(NaN).error.code.should.equal("INVALID");
+                BigNumber(Infinity).error.code.should.equal("INVALID");
+                BigNumber(-Infinity).isNaN().should.equal(true);
+                BigNumber(1.5).error.message.should.match(/not an integer/);
+                BigNumber(-0).val().should.equal("0");
+                BigNumber(1e21).val().should.equal("1000000000000000000000");
+                BigNumber(1.5e30).val().should.equal("1499999999999999889089448902656");
+            });
+
+            it('should truncate fractions when configured', function () {
+                BigNumber.config({fractions: 'truncate'});
+                try {
+                    BigNumber(2.7).val().should.equal("2");
+                    BigNumber(-2.7).val().should.equal("-2");
+                    BigNumber(-0.5).val().should.equal("0");
+                    BigNumber(NaN).isNaN().should.equal(true);
+                } finally {
+                    BigNumber.config({fractions: 'error'});
+                }
+                (function () { BigNumber.config({fractions: 'round'}); }).should.throw(/Invalid fractions/);
+            });
+
+            it('should decompose doubles exactly', function () {
+                var values = [[0.1, "3602879701896397", -55], [-6.25, "-25", -2], [5e-324, "1", -1074],
+                    [Number.MAX_VALUE, "9007199254740991", 971], [Math.pow(2, 60), "1", 60], [3, "3", 0], [0, "0", 0]];
+                values.forEach(function (value) {
+                    var decomposition = BigNumber.fromFloatExact(value[0]);
+                    decomposition.mantissa.val().should.equal(value[1]);
+                    decomposition.exponent.should.equal(value[2]);
+                });
+                BigNumber.fromFloatExact(NaN).mantissa.error.code.should.equal("INVALID_ARGUMENT");
+                BigNumber.fromFloatExact("1").exponent.should.be.NaN;
+            });
+
+            it('should accept BigNumber arguments where numbers are expected', function () {
+                BigNumber(2).pow(BigNumber(10)).val().should.equal("1024");
+                BigNumber(1).shiftLeft(BigNumber(40)).val().should.equal("1099511627776");
+                BigNumber(1024).shiftRight(BigNumber(3)).val().should.equal("128");
+                BigNumber(5).testBit(BigNumber(2)).should.equal(true);
+            });
+        });
+
+        describe('binary serialization', function () {
+            var bytes = function (number, options) {
+                return Array.prototype.slice.call(BigNumber(number).toBytes(options)).join(" ");
+            };
+
+            it('should write bytes with either endianness', function () {
+                bytes(0).should.equal("0");
+                bytes(255).should.equal("255");
+                bytes(256).should.equal("1 0");
+                bytes("1234567890123456789").should.equal("17 34 16 244 125 233 129 21");
+                bytes("1234567890123456789", {endian: 'little'}).should.equal("21 129 233 125 244 16 34 17");
+                bytes(33554432).should.equal("2 0 0 0");
+                bytes(258, {length: 4}).should.equal("0 0 1 2");
+                bytes(258, {length: 4, endian: 'little'}).should.equal("2 1 0 0");
+            });
+
+            it('should write signed numbers in two\'s complement', function () {
+                bytes(127, {signed: true}).should.equal("127");
+                bytes(128, {signed: true}).should.equal("0 128");
+                bytes(-1, {signed: true}).should.equal("255");
+                bytes(-128, {signed: true}).should.equal("128");
+                bytes(-129, {signed: true}).should.equal("255 127");
+                bytes(-2, {signed: true, length: 3}).should.equal("255 255 254");
+                bytes(-2, {signed: true, length: 3, endian: 'little'}).should.equal("254 255 255");
+            });
+
+            it('should detect overflow and invalid options', function () {
+                (function () { BigNumber(256).toBytes({length: 1}); }).should.throw(/does not fit/);
+                (function () { BigNumber(128).toBytes({length: 1, signed: true}); }).should.throw(/does not fit/);
+                (function () { BigNumber(-1).toBytes(); }).should.throw(/does not fit/);
+                (function () { BigNumber(1).toBytes({endian: 'middle'}); }).should.throw(/Invalid byte options/);
+                (function () { BigNumber(1).toBytes({length: 0}); }).should.throw(/Invalid byte options/);
+                (function () { BigNumber("x").toBytes(); }).should.throw(/Invalid Number/);
+                try {
+                    BigNumber(256).toBytes({length: 1});
+                } catch (error) {
+                    error.code.should.equal("OVERFLOW");
+                }
+            });
+
+            it('should read bytes', function () {
+                BigNumber.fromBytes([17, 34, 16, 244, 125, 233, 129, 21]).val().should.equal("1234567890123456789");
+                BigNumber.fromBytes([21, 129, 233, 125, 244, 16, 34, 17], {endian: 'little'}).val().should.equal("1234567890123456789");
+                BigNumber.fromBytes(new Uint8Array([0, 0, 1, 2])).val().should.equal("258");
+                BigNumber.fromBytes(Buffer.from("ff00", "hex")).val().should.equal("65280");
+                BigNumber.fromBytes([255, 127], {signed: true}).val().should.equal("-129");
+                BigNumber.fromBytes([254, 255, 255], {signed: true, endian: 'little'}).val().should.equal("-2");
+                BigNumber.fromBytes([0, 128], {signed: true}).val().should.equal("128");
+                BigNumber.fromBytes([]).val().should.equal("0");
+                BigNumber.fromBytes([256]).error.code.should.equal("INVALID_ARGUMENT");
+                BigNumber.fromBytes(5).error.code.should.equal("INVALID_ARGUMENT");
+                BigNumber.fromBytes([1], {endian: 'middle'}).error.code.should.equal("INVALID_ARGUMENT");
+            });
+
+            it('should round trip through bytes', function () {
+                ["0", "1", "-1", "33554431", "-33554432", "-98765432109876543210987654321",
+                    BigNumber(7).pow(300).val(), BigNumber(-3).pow(301).val()].forEach(function (value) {
+                    [{signed: true}, {signed: true, endian: 'little'}, {signed: true, length: 200}].forEach(function (options) {
+                        BigNumber.fromBytes(BigNumber(value).toBytes(options), options).val().should.equal(value);
+                    });
+                });
+            });
+
+            it('should round trip through JSON', function () {
+                var json = JSON.stringify({value: BigNumber("-123456789012345678901234567890")});
+                json.should.equal('{"value":"-123456789012345678901234567890"}');
+                BigNumber.fromJSON(JSON.parse(json).value).val().should.equal("-123456789012345678901234567890");
+                BigNumber.fromJSON(42).val().should.equal("42");
+                BigNumber.fromJSON({}).error.code.should.equal("INVALID_ARGUMENT");
+            });
+        });
+
+        describe('formatting', function () {
+            it('should group digits', function () {
+                BigNumber("1234567").toFormat().should.equal("1,234,567");
+                BigNumber("-1234567").toFormat().should.equal("-1,234,567");
+                BigNumber("123").toFormat().should.equal("123");
+                BigNumber(0).toFormat().should.equal("0");
+                BigNumber("12345678").toFormat({groupSize: 4, groupSeparator: " "}).should.equal("1234 5678");
+                BigNumber("1234567").toFormat({groupSize: 0}).should.equal("1234567");
+                BigNumber("x").toFormat().should.equal("NaN");
+                (function () { BigNumber(1).toFormat({groupSize: -1}); }).should.throw(/Invalid groupSize/);
+            });
+
+            (typeof Intl === 'object' ? it : it.skip)('should group digits for a locale', function () {
+                BigNumber("1234567").toFormat({locale: 'de-DE'}).should.equal("1.234.567");
+                BigNumber("1234567").toFormat({locale: 'en-US'}).should.equal("1,234,567");
+                BigNumber("1234567").toFormat({locale: 'de-DE', groupSeparator: "'"}).should.equal("1'234'567");
+                BigNumber("-1234567").toLocaleString('de-DE').should.equal((-1234567).toLocaleString('de-DE'));
+                BigNumber(10).pow(30).toLocaleString('en-US').should.equal("1,000,000,000,000,000,000,000,000,000,000");
+            });
+
+            it('should write scientific notation', function () {
+                BigNumber("123456").toExponential().should.equal("1.23456e+5");
+                BigNumber("123000").toExponential().should.equal("1.23e+5");
+                BigNumber("123456").toExponential(2).should.equal("1.23e+5");
+                BigNumber("-123456").toExponential(2).should.equal("-1.23e+5");
+                BigNumber("99999").toExponential(2).should.equal("1.00e+5");
+                BigNumber("7").toExponential(3).should.equal("7.000e+0");
+                BigNumber(0).toExponential().should.equal("0e+0");
+                BigNumber(10).pow(45).multiply(123).toExponential().should.equal("1.23e+47");
+                BigNumber("x").toExponential(2).should.equal("NaN");
+                (function () { BigNumber(1).toExponential(-1); }).should.throw(/Invalid digits/);
+                (function () { BigNumber(1).toExponential(1, "NEAREST"); }).should.throw(/Invalid rounding/);
+            });
+
+            it('should round with every rounding mode', function () {
+                var values = ["15", "25", "-15", "-25", "151", "-151", "14"];
+                var expected = {
+                    UP: "2e+1 3e+1 -2e+1 -3e+1 2e+2 -2e+2 2e+1",
+                    DOWN: "1e+1 2e+1 -1e+1 -2e+1 1e+2 -1e+2 1e+1",
+                    CEIL: "2e+1 3e+1 -1e+1 -2e+1 2e+2 -1e+2 2e+1",
+                    FLOOR: "1e+1 2e+1 -2e+1 -3e+1 1e+2 -2e+2 1e+1",
+                    HALF_UP: "2e+1 3e+1 -2e+1 -3e+1 2e+2 -2e+2 1e+1",
+                    HALF_DOWN: "1e+1 2e+1 -1e+1 -2e+1 2e+2 -2e+2 1e+1",
+                    HALF_EVEN: "2e+1 2e+1 -2e+1 -2e+1 2e+2 -2e+2 1e+1"
+                };
+                Object.keys(expected).forEach(function (mode) {
+                    values.map(function (value) {
+                        return BigNumber(value).toExponential(0, mode);
+                    }).join(" ").should.equal(expected[mode]);
+                });
+            });
+
+            it('should write a precision like native numbers', function () {
+                [0, 7, -7, 123, 99999, 123456, -987654321, 1000000].forEach(function (value) {
+                    [1, 2, 3, 6, 9].forEach(function (precision) {
+                        BigNumber(value).toPrecision(precision).should.equal(value.toPrecision(precision));
+                    });
+                });
+                BigNumber("123456789012345678901234567890").toPrecision(5).should.equal("1.2346e+29");
+                BigNumber("123456789012345678901234567890").toPrecision(5, "DOWN").should.equal("1.2345e+29");
+                BigNumber(42).toPrecision().should.equal("42");
+                (function () { BigNumber(1).toPrecision(0); }).should.throw(/Invalid precision/);
+            });
+
+            it('should read integer scientific notation', function () {
+                BigNumber("1.5e30").val().should.equal("1500000000000000000000000000000");
+                BigNumber("-12.50E+1").val().should.equal("-125");
+                BigNumber("150e-1").val().should.equal("15");
+                BigNumber("1e0").val().should.equal("1");
+                BigNumber("0e-5").val().should.equal("0");
+                BigNumber("1.23e1").error.code.should.equal("INVALID");
+                BigNumber("1.23e1").error.message.should.match(/not an integer/);
+                BigNumber("1e").isNaN().should.equal(true);
+                BigNumber("0xe5").val().should.equal("229");
+                BigNumber("1e5", 16).val().should.equal("485");
+            });
         });
     });
+});
+
+describe('BigNumber.clone', function () {
+    var Decimal = BigNumber.clone({base: 10}), Binary = BigNumber.clone({base: 2}), Septimal = BigNumber.clone({base: 7});
+
+    it('should create constructors of the given base', function () {
+        BigNumber.base.should.equal(33554432);
+        BigNumber.config().base.should.equal(33554432);
+        Decimal.base.should.equal(10);
+        Decimal.config().base.should.equal(10);
+        Decimal(12345).number.join().should.equal("5,4,3,2,1");
+        Binary(-6).number.join().should.equal("0,1,1");
+        BigNumber.clone().base.should.equal(33554432);
+        Decimal.clone({base: 1000}).base.should.equal(1000);
+    });
 
-    describe('very big numbers', function () {
-        it('should test main arithmetic on very large integers', function () {
-            var a=BigNumber("43216789895328312675790036721362674782378923750950234212368965373910384654");
-            var b=BigNumber("85764636478697019837453424264758699685764562524345456576868");
-            var x = BigNumber(a);
-            x.add(b).val().should.equal("43216789895328398440426515418382512235803188509649919976931489719366961522");
-            x = BigNumber(a);
-            x.minus(b).val().should.equal("43216789895328226911153558024342837328954658992250548447806441028453807786");
-            x = BigNumber(a);
-            x.multiply(b).val().should.equal("3706472275149059366968352499608225426876935061337924498923340460238964318011366196170940767807131779369992004353943009853967998583672");
-            x = BigNumber(a);
-            x.divide(b).val().should.equal("503899878431396");
-            x = BigNumber(a);
-            x.divide(b).rest.val().should.equal("13662369696833870468897163678348569097398678349966371836926");
-            x = BigNumber(a);
-            x.sqrt().val().should.equal("6573947816596075831356639591907217364");
+    it('should reject invalid bases', function () {
+        [1, 0, -10, 2.5, Math.pow(2, 25) + 1, "ten", NaN].forEach(function (base) {
+            (function () { BigNumber.clone({base: base}); }).should.throw(/Invalid base/);
         });
     });
+
+    it('should keep settings apart from the other constructors', function () {
+        var Immutable = BigNumber.clone({immutable: true, errorMode: 'throw'});
+        Immutable.config().immutable.should.equal(true);
+        BigNumber.config().immutable.should.equal(false);
+        Decimal.config().errorMode.should.equal('nan');
+        var a = Immutable(5);
+        a.add(1).val().should.equal("6");
+        a.val().should.equal("5");
+        (function () { Immutable("x"); }).should.throw(/Invalid Number/);
+        BigNumber("x").isNaN().should.equal(true);
+        (function () { BigNumber.clone({errorMode: 'ignore'}); }).should.throw(/errorMode/);
+    });
+
+    it('should convert numbers between constructors', function () {
+        var value = "-98765432109876543210987654321";
+        BigNumber(Decimal(value)).val().should.equal(value);
+        Decimal(BigNumber(value)).val().should.equal(value);
+        Binary(Septimal(value)).val().should.equal(value);
+        Septimal(Binary(value)).number.every(function (element) { return element < 7; }).should.equal(true);
+        BigNumber(Decimal(value)).should.be.an.instanceof(BigNumber);
+        BigNumber(5).add(Decimal(7)).multiply(Binary(3)).val().should.equal("36");
+        Decimal(10).gt(BigNumber(9)).should.equal(true);
+        Decimal(BigNumber("x")).isNaN().should.equal(true);
+    });
+
+    it('should give every constructor its own decimals, fractions and formulas', function () {
+        var Strict = BigNumber.clone({errorMode: 'throw', immutable: true});
+        (function () { Strict.evaluate("1 / 0"); }).should.throw(/Division By Zero/);
+        BigNumber.evaluate("1 / 0").isNaN().should.equal(true);
+        Strict.compile("n + 1")({n: 1}).should.be.an.instanceof(Strict);
+        (function () { Strict.BigDecimal(1).divide(0); }).should.throw(/Division By Zero/);
+        BigNumber.BigDecimal(1).divide(0).isNaN().should.equal(true);
+        (function () { Strict.BigFraction(1, 0); }).should.throw(/Division By Zero/);
+        BigNumber.BigFraction(1, 0).isNaN().should.equal(true);
+
+        var half = Strict.BigFraction(1, 2);
+        half.add(Strict.BigFraction(1, 3)).val().should.equal("5/6");
+        half.val().should.equal("1/2");
+
+        Decimal.evaluate("2^100").should.be.an.instanceof(Decimal);
+        Decimal.evaluate("2^100").val().should.equal("1267650600228229401496703205376");
+        Decimal.BigDecimal("1.25").unscaled.should.be.an.instanceof(Decimal);
+        Decimal.BigFraction("3/4").toDecimal(2).should.equal("0.75");
+        Decimal.clone({base: 100}).evaluate("10 * 10").val().should.equal("100");
+    });
 });